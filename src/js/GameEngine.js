@@ -1,27 +1,144 @@
 import * as THREE from "three";
 import { Player } from "./entities/Player.js";
 import { DungeonGenerator } from "./world/DungeonGenerator.js";
+import { Pathfinder } from "./world/Pathfinder.js";
+import { ExploredMap } from "./world/ExploredMap.js";
+import { separateEntities } from "./world/Physics.js";
+import { applyDamage } from "./world/Combat.js";
 import { InputHandler } from "./utils/InputHandler.js";
+import { ScriptedInput } from "./utils/ScriptedInput.js";
+import { InputRecorder } from "./utils/InputRecorder.js";
+import { ReplayInput } from "./utils/ReplayInput.js";
+import { checksum, checkReplaySettings } from "./utils/replayFormat.js";
+import { ActionMap } from "./utils/ActionMap.js";
+import { HUD } from "./ui/HUD.js";
+import { InventoryPanel } from "./ui/InventoryPanel.js";
+import { LevelUpPanel } from "./ui/LevelUpPanel.js";
+import { GameScreens } from "./ui/GameScreens.js";
+import { Minimap } from "./ui/Minimap.js";
+import { ControlsScreen } from "./ui/ControlsScreen.js";
+import { CameraController } from "./ui/CameraController.js";
 import { Enemy } from "./entities/Enemy.js";
+import { WorldItem } from "./entities/WorldItem.js";
+import { ENEMY_TYPES, getSpawnTable } from "./data/enemyTypes.js";
+import { getDifficulty } from "./data/difficulty.js";
+import { ITEM_TYPES, FLOOR_LOOT } from "./data/itemTypes.js";
+import { UPGRADES, applyUpgrade } from "./data/upgrades.js";
+import { Random } from "./utils/Random.js";
+import { EventBus } from "./utils/EventBus.js";
+import { GAME_EVENTS } from "./data/gameEvents.js";
+import { disposeObject } from "./utils/disposeObject.js";
+import { SaveStorage, SAVE_VERSION } from "./utils/SaveStorage.js";
+
+// Allowed game state transitions. The simulation only advances while
+// "playing"; every other state just renders.
+const STATE_TRANSITIONS = {
+  loading: ["title", "playing"],
+  title: ["playing"],
+  playing: ["paused", "gameOver"],
+  paused: ["playing", "title"],
+  gameOver: ["playing", "title"],
+};
+
+// Tallies for the game-over summary
+function createRunStats() {
+  return {
+    time: 0,
+    kills: 0,
+    damageDealt: 0,
+    damageTaken: 0,
+    itemsPickedUp: 0,
+  };
+}
 
 export class GameEngine {
-  constructor() {
+  constructor(options = {}) {
+    // Run seed: the same seed reproduces the same layout and spawns
+    this.seed = Random.normalizeSeed(options.seed ?? Random.randomSeed());
+    this.seedOption = options.seed; // Reused by restarts when given
+    this.random = new Random(this.seed);
+
+    // Dungeon settings
+    this.layoutStrategy = options.layoutStrategy ?? "bsp";
+
+    // Survival tuning (see data/difficulty.js)
+    this.difficulty = getDifficulty(options.difficulty);
+    this.dungeonWidth = options.dungeonWidth ?? 32;
+    this.dungeonHeight = options.dungeonHeight ?? 32;
+
+    // Headless mode runs the simulation only: no renderer, DOM UI or
+    // browser input. Drive it with advance() and a scripted input source.
+    this.headless = options.headless ?? false;
+
+    // Where runs are saved (localStorage unless told otherwise)
+    this.saveStorage = new SaveStorage(options.storage);
+
     // Game properties
-    this.isRunning = false;
+    this.isRunning = false; // Whether the frame loop is running
+
+    // Game state: loading, title, playing, paused or gameOver
+    this.state = "loading";
+    this.hasPlayed = false; // Whether the world from init() has been used
+    this.runStats = createRunStats();
     this.clock = new THREE.Clock();
+
+    // Fixed-step simulation: update() always advances by fixedTimeStep, and
+    // rendering interpolates between the last two steps
+    this.fixedTimeStep = options.fixedTimeStep ?? 1 / 60;
+    this.maxSubSteps = options.maxSubSteps ?? 5; // Max catch-up steps per frame
+    this.maxFrameTime = 0.25; // Clamp longer frames (tab switches, hitches)
+    this.accumulator = 0;
+    this.frameTime = 0;
+    this.effects = [];
     this.entities = [];
+    this.items = []; // Items lying on the current floor
+    this.nearbyItem = null; // Closest item the player can pick up with E
+    this.wasInteracting = false;
+    this.lootRandom = null;
+    this.exploredMap = null; // Fog of war for the current floor
+    this.viewRadius = options.viewRadius ?? 14; // How far the player can see
     this.player = null;
-    this.health = 100;
-    this.level = 1;
+    this.level = 1; // Dungeon floor; the player's own level is on Player
+
+    // Game events: entities and systems emit here, UI/effects/stats listen
+    this.events = new EventBus(GAME_EVENTS);
+
+    // Input recording, so a run can be exported and replayed exactly.
+    // `tick` counts simulation steps since the recorded run started.
+    this.recordInput = options.record ?? true;
+    this.recorder = null;
+    this.replay = null; // Replay being played back, or null
+    this.replayOption = options.replay ?? null; // Played by init() when given
+    this.replayingCommand = false;
+    this.tick = 0;
+
+    // Level-up upgrade choices waiting on the player, or null
+    this.upgradeChoices = null;
+    this.upgradeRandom = this.random.fork("upgrades");
+
+    // Current floor's scene objects
+    this.dungeon = null;
+    this.lights = null;
+    this.world = null;
 
     // Three.js components
     this.scene = null;
     this.camera = null;
     this.renderer = null;
 
-    // Game systems
-    this.inputHandler = null;
+    // Game systems. inputHandler drives the player; playerInput is the
+    // player's own input, set aside while a replay drives instead.
+    this.inputHandler = options.inputHandler ?? null;
+    this.playerInput = null;
+    this.hud = null;
+    this.inventoryPanel = null;
+    this.levelUpPanel = null;
+    this.screens = null;
+    this.minimap = null;
+    this.controlsScreen = null;
+    this.cameraController = null;
     this.dungeonGenerator = null;
+    this.pathfinder = null;
 
     // Bind methods
     this.update = this.update.bind(this);
@@ -38,14 +155,92 @@ export class GameEngine {
     // Create camera for third-person view
     this.camera = new THREE.PerspectiveCamera(
       60, // Wider field of view for third-person
-      window.innerWidth / window.innerHeight,
+      this.headless ? 1 : window.innerWidth / window.innerHeight,
       0.1,
       1000
     );
-    // Initial camera position will be set by the player
+    // The camera controller takes over once there's a player to follow
     this.camera.position.set(0, 10, 15);
     this.camera.lookAt(0, 0, 0);
 
+    if (!this.headless) {
+      this.initRenderer();
+      this.hud = new HUD(this);
+    }
+
+    // Control bindings, stored with the player's other settings
+    this.actionMap = new ActionMap();
+
+    // Initialize input handler, unless one was supplied
+    if (!this.inputHandler) {
+      this.inputHandler = this.headless
+        ? new ScriptedInput()
+        : new InputHandler(this.camera, {
+            actionMap: this.actionMap,
+            pointerLockElement: this.renderer.domElement,
+            onPointerLockLost: () => this.handlePointerLockLost(),
+          });
+    }
+    this.playerInput = this.inputHandler;
+
+    // Initialize dungeon generator
+    this.dungeonGenerator = new DungeonGenerator({
+      strategy: this.layoutStrategy,
+    });
+
+    // Shared pathfinding over the dungeon grid
+    this.pathfinder = new Pathfinder(this.dungeonGenerator);
+
+    // React to what happens in the game
+    this.addEventHandlers();
+
+    // Create player
+    this.createPlayer();
+
+    if (!this.headless) {
+      this.inventoryPanel = new InventoryPanel(this);
+      this.levelUpPanel = new LevelUpPanel(this);
+      this.minimap = new Minimap(this);
+      this.controlsScreen = new ControlsScreen(this);
+      this.cameraController = new CameraController(this);
+      this.screens = new GameScreens(this);
+    }
+
+    // Build the first floor
+    this.loadLevel(1);
+
+    // There are no menus without a DOM, so headless runs start playing
+    if (this.headless) {
+      this.setState("playing");
+      this.startRecording();
+    }
+
+    if (this.replayOption) {
+      this.playReplay(this.replayOption);
+    }
+  }
+
+  // Create the player, replacing the previous run's one if there is one
+  createPlayer() {
+    if (this.player) {
+      this.scene.remove(this.player.mesh);
+      disposeObject(this.player.mesh);
+    }
+
+    this.player = new Player();
+    this.player.survival = this.difficulty;
+    this.player.events = this.events;
+
+    // Connect player to dungeon generator for collision detection
+    this.player.setDungeonGenerator(this.dungeonGenerator);
+    this.scene.add(this.player.mesh);
+
+    if (this.inventoryPanel) {
+      this.inventoryPanel.setInventory(this.player.inventory);
+    }
+  }
+
+  initRenderer() {
     // Create renderer
     this.renderer = new THREE.WebGLRenderer({ antialias: true });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
@@ -58,31 +253,115 @@ export class GameEngine {
       this.camera.updateProjectionMatrix();
       this.renderer.setSize(window.innerWidth, window.innerHeight);
     });
+  }
 
-    // Initialize input handler
-    this.inputHandler = new InputHandler(this.camera);
+  // Move to another game state. Returns whether the transition was allowed.
+  setState(state) {
+    if (state === this.state) return true;
 
-    // Initialize dungeon generator
-    this.dungeonGenerator = new DungeonGenerator();
-    const dungeon = this.dungeonGenerator.generateDungeon(10, 10);
-    this.scene.add(dungeon);
+    if (!STATE_TRANSITIONS[this.state].includes(state)) {
+      console.warn(`Invalid game state change: ${this.state} -> ${state}`);
+      return false;
+    }
 
-    // Add lighting
-    this.addLighting();
+    const previous = this.state;
+    this.state = state;
 
-    // Create player at the center of the dungeon
-    const centerX = 5 * this.dungeonGenerator.tileSize;
-    const centerZ = 5 * this.dungeonGenerator.tileSize;
+    // Don't try to catch up on time spent in menus
+    if (state === "playing") {
+      this.accumulator = 0;
+    }
 
-    // Create player
-    this.player = new Player(this.camera);
+    this.events.emit(GAME_EVENTS.STATE_CHANGED, { state, previous });
+    return true;
+  }
 
-    // Set player position to the center of the dungeon
-    this.player.position.set(centerX, 1, centerZ);
-    this.player.mesh.position.copy(this.player.position);
+  // Start a fresh run. The first run plays the world built by init();
+  // later ones rebuild it, with a new seed unless one was given.
+  newGame() {
+    this.stopReplay();
+    if (this.hasPlayed) {
+      this.resetRun(this.seedOption ?? Random.randomSeed());
+    }
+    this.hasPlayed = true;
+    this.startRecording();
 
-    // Connect player to dungeon generator for collision detection
-    this.player.setDungeonGenerator(this.dungeonGenerator);
+    // Starting over abandons any saved run
+    this.saveStorage.clear();
+    return this.setState("playing");
+  }
+
+  // Tear down the current run and build a new one in place
+  resetRun(seed) {
+    this.unloadLevel();
+
+    this.seed = Random.normalizeSeed(seed);
+    this.random = new Random(this.seed);
+    this.upgradeRandom = this.random.fork("upgrades");
+    this.upgradeChoices = null;
+    this.runStats = createRunStats();
+
+    this.createPlayer();
+    this.loadLevel(1);
+  }
+
+  togglePause() {
+    if (this.state === "playing") return this.setState("paused");
+    if (this.state === "paused") return this.setState("playing");
+    return false;
+  }
+
+  // The browser spends the first Esc press of a run releasing the mouse, so
+  // losing pointer lock mid-run is the pause. Panels that hand the mouse
+  // back for clicking don't count.
+  handlePointerLockLost() {
+    if (this.state !== "playing") return;
+    if (this.inventoryPanel?.isOpen || this.upgradeChoices) return;
+    this.setState("paused");
+  }
+
+  // Leave a paused run for the title screen, saving it to continue later
+  quitToTitle() {
+    if (this.state !== "paused") return false;
+
+    this.saveGame();
+    return this.setState("title");
+  }
+
+  // Summary of the current run, shown on the game-over screen
+  getRunSummary() {
+    return {
+      seed: this.seed,
+      floor: this.level,
+      characterLevel: this.player.characterLevel,
+      ...this.runStats,
+    };
+  }
+
+  // Tear down the current floor (if any) and build floor `level`
+  loadLevel(level) {
+    this.unloadLevel();
+    const previous = this.level;
+    this.level = level;
+
+    // Each floor gets its own seed derived from the run seed
+    const floorSeed = this.random.fork(`floor-${level}`).seed;
+
+    // Deeper floors are larger
+    const growth = Math.min(level - 1, 8) * 4;
+    this.dungeon = this.dungeonGenerator.generateDungeon(
+      this.dungeonWidth + growth,
+      this.dungeonHeight + growth,
+      floorSeed
+    );
+    this.setupLevel();
+
+    // Set player position to the dungeon's spawn point
+    this.player.position.copy(this.dungeonGenerator.getSpawnPosition());
+    this.player.previousPosition.copy(this.player.position);
+    this.player.velocity.set(0, 0, 0);
+    this.player.mesh.position.copy(this.player.position);
+    this.player.collider.center.copy(this.player.position);
 
     // Make sure player is not inside a wall
     if (
@@ -97,31 +376,320 @@ export class GameEngine {
         this.player.collider.radius
       );
       this.player.position.copy(validPosition);
+      this.player.previousPosition.copy(validPosition);
       this.player.mesh.position.copy(validPosition);
       console.log("Player moved to valid position:", validPosition);
     }
 
+    // More enemies on deeper floors
+    this.addEnemies(3 + level * 2);
+
+    // Scatter food to keep hunger at bay, plus some loot
+    this.addItems(this.difficulty.foodPerFloor, 3 + level);
+
+    this.updateExploration();
+    this.events.emit(GAME_EVENTS.LEVEL_CHANGED, { level, previous });
+  }
+
+  // Shared by loadLevel and restoreLevel once the floor's dungeon is built
+  setupLevel() {
+    this.scene.add(this.dungeon);
+
+    // Nothing on a new floor has been seen yet
+    this.exploredMap = new ExploredMap(
+      this.dungeonGenerator.width,
+      this.dungeonGenerator.height
+    );
+
+    // Add lighting
+    this.addLighting();
+
     this.entities.push(this.player);
-    this.scene.add(this.player.mesh);
 
-    // Add some enemies
-    this.addEnemies(5);
+    // World context handed to non-player entities each update
+    this.world = {
+      player: this.player,
+      dungeonGenerator: this.dungeonGenerator,
+      pathfinder: this.pathfinder,
+      entities: this.entities,
+      events: this.events,
+      random: this.random.fork(`ai-${this.level}`),
+      dealDamage: (target, amount, source, options) =>
+        this.dealDamage(target, amount, source, options),
+    };
+  }
 
-    // Update UI
-    this.updateUI();
+  // Saved form of the whole run: the current floor as it stands, the
+  // player and the state of the random streams still in use
+  serialize() {
+    return {
+      version: SAVE_VERSION,
+      savedAt: Date.now(),
+      seed: this.seed,
+      layoutStrategy: this.layoutStrategy,
+      difficulty: this.difficulty.id,
+      level: this.level,
+      dungeon: this.dungeonGenerator.toJSON(),
+      player: this.player.toJSON(),
+      enemies: this.entities
+        .filter((entity) => entity instanceof Enemy && !entity.isDead)
+        .map((enemy) => enemy.toJSON()),
+      items: this.items.map((item) => item.toJSON()),
+      explored: this.exploredMap.toJSON(),
+      stats: this.runStats,
+      random: {
+        ai: this.world.random.state,
+        drops: this.lootRandom.state,
+        upgrades: this.upgradeRandom.state,
+      },
+    };
+  }
+
+  saveGame() {
+    // Watching a replay mustn't overwrite the player's own run
+    if (this.replay) return false;
+
+    return this.saveStorage.save(this.serialize());
+  }
+
+  // Load the saved run, if there is one, and play it. Call after init().
+  continueGame() {
+    const save = this.saveStorage.load();
+    if (!save) return false;
+
+    this.stopReplay();
+    this.restoreLevel(save);
+    this.hasPlayed = true;
+    this.startRecording(save);
+    return this.setState("playing");
+  }
+
+  // Start recording input from the current tick. A replay of it starts
+  // from `start`, the save this run was restored from, or else from a
+  // fresh run of the current seed.
+  startRecording(start = null) {
+    this.tick = 0;
+    this.wasInteracting = false;
+    this.recorder = null;
+    if (!this.recordInput) return;
+
+    this.recorder = new InputRecorder({
+      seed: this.seed,
+      layoutStrategy: this.layoutStrategy,
+      difficulty: this.difficulty.id,
+      dungeonWidth: this.dungeonWidth,
+      dungeonHeight: this.dungeonHeight,
+      fixedTimeStep: this.fixedTimeStep,
+      start: start && structuredClone(start),
+    });
+  }
+
+  // The run recorded so far, or null if nothing is being recorded. The
+  // checksum lets a replay check it ended up in the same state.
+  getReplay() {
+    if (!this.recorder) return null;
+    return structuredClone(this.recorder.toReplay(this.getChecksum()));
+  }
+
+  // Fingerprint of the current run's state
+  getChecksum() {
+    const { savedAt, ...state } = this.serialize();
+    return checksum(state);
+  }
+
+  // Replace the current run with a recorded one and play it back. Saves
+  // are left alone; when the recording runs out the game pauses and the
+  // player can take over from there.
+  playReplay(replay) {
+    checkReplaySettings(replay);
 
-    // Add debug info
-    this.addDebugInfo();
+    this.layoutStrategy = replay.layoutStrategy;
+    this.dungeonGenerator.strategy = replay.layoutStrategy;
+    this.difficulty = getDifficulty(replay.difficulty);
+    this.dungeonWidth = replay.dungeonWidth;
+    this.dungeonHeight = replay.dungeonHeight;
+    this.fixedTimeStep = replay.fixedTimeStep;
+
+    if (replay.start) {
+      this.restoreLevel(structuredClone(replay.start));
+    } else {
+      this.resetRun(replay.seed);
+    }
+    this.hasPlayed = true;
+    this.tick = 0;
+    this.wasInteracting = false;
+
+    // Not recorded again: the replay itself is the recording
+    this.recorder = null;
+    this.replay = replay;
+    this.inputHandler = new ReplayInput(replay);
+    return this.setState("playing");
+  }
+
+  // Play the rest of the replay without rendering, e.g. in automated
+  // checks. Returns whether the run ended in the state it was recorded in.
+  finishReplay() {
+    const replay = this.replay;
+    if (!replay) return false;
+
+    while (this.state === "playing" && !this.inputHandler.isFinished()) {
+      const tick = this.tick;
+      this.step();
+
+      // Held on an upgrade choice the recording never made
+      if (this.tick === tick) break;
+    }
+
+    // Actions taken after the last tick, before the replay was exported
+    this.applyReplayCommands();
+    return this.getChecksum() === replay.checksum;
+  }
+
+  // Hand control back to the player, recording from where the replay got to.
+  // Saves leave out live state such as enemy AI, cooldowns and knockback,
+  // so the run is restored from the save it records from; otherwise a replay
+  // of the rest would start from a slightly different world.
+  stopReplay() {
+    if (!this.replay) return;
+
+    this.replay = null;
+    this.inputHandler = this.playerInput;
+    const start = this.serialize();
+    this.restoreLevel(structuredClone(start));
+    this.startRecording(start);
+  }
+
+  // Whether a UI action that changes the run should go ahead. Actions are
+  // recorded with the input; during a replay only the replay's own are taken.
+  allowCommand(name, index) {
+    if (this.replay) return this.replayingCommand;
+
+    if (this.recorder) this.recorder.addCommand(this.tick, name, index);
+    return true;
+  }
+
+  applyReplayCommands() {
+    this.replayingCommand = true;
+    for (const [name, index] of this.inputHandler.takeCommands(this.tick)) {
+      this[name](index);
+    }
+    this.replayingCommand = false;
+  }
+
+  // Replace the current run with a serialized one
+  restoreLevel(save) {
+    this.unloadLevel();
+
+    this.seed = save.seed;
+    this.random = new Random(this.seed);
+    this.layoutStrategy = save.layoutStrategy;
+    this.difficulty = getDifficulty(save.difficulty);
+    const previous = this.level;
+    this.level = save.level;
+    this.runStats = { ...createRunStats(), ...save.stats };
+    this.createPlayer();
+
+    // Same layout, rebuilt rather than regenerated
+    this.dungeon = this.dungeonGenerator.restoreDungeon(save.dungeon);
+    this.setupLevel();
+
+    this.player.loadState(save.player);
+
+    if (save.explored) this.exploredMap.load(save.explored);
+    this.updateExploration();
+
+    for (const state of save.enemies) {
+      const type = ENEMY_TYPES[state.type];
+      if (!type) continue;
+
+      const [x, y, z] = state.position;
+      const enemy = new Enemy(x, y, z, type);
+      enemy.loadState(state);
+      this.entities.push(enemy);
+      this.scene.add(enemy.mesh);
+    }
+
+    for (const state of save.items) {
+      const type = ITEM_TYPES[state.type];
+      if (!type) continue;
+
+      const [x, , z] = state.position;
+      this.spawnItem(type, state.quantity, { x, z });
+    }
+
+    // Pick the random streams up where they left off
+    this.world.random.state = save.random.ai;
+    this.lootRandom = this.random.fork(`drops-${this.level}`);
+    this.lootRandom.state = save.random.drops;
+    this.upgradeRandom = this.random.fork("upgrades");
+    this.upgradeRandom.state = save.random.upgrades;
+
+    // A level-up that was waiting on a choice is offered again
+    this.upgradeChoices = null;
+    this.offerUpgrades();
+
+    this.events.emit(GAME_EVENTS.LEVEL_CHANGED, {
+      level: this.level,
+      previous,
+    });
+  }
+
+  // Remove the current floor's dungeon, enemies, lights and colliders
+  unloadLevel() {
+    if (this.dungeon) {
+      this.dungeonGenerator.disposeDungeon(this.dungeon);
+      this.dungeon = null;
+    }
+
+    if (this.lights) {
+      this.scene.remove(this.lights);
+      disposeObject(this.lights);
+      this.lights = null;
+    }
+
+    // The player carries over; everything else belongs to the old floor
+    for (const entity of this.entities) {
+      if (entity !== this.player) {
+        this.scene.remove(entity.mesh);
+        disposeObject(entity.mesh);
+      }
+    }
+    this.entities = [];
+
+    for (const item of this.items) {
+      this.scene.remove(item.mesh);
+      disposeObject(item.mesh);
+    }
+    this.items = [];
+    this.nearbyItem = null;
+
+    for (const effect of this.effects) {
+      this.scene.remove(effect.mesh);
+      disposeObject(effect.mesh);
+    }
+    this.effects = [];
   }
 
   addLighting() {
+    // Floor lights live in one group so they can be torn down together
+    this.lights = new THREE.Group();
+    this.scene.add(this.lights);
+
+    // Center the sun on the current floor
+    const center = this.dungeonGenerator.tileToWorld(
+      this.dungeonGenerator.width / 2,
+      this.dungeonGenerator.height / 2,
+      0
+    );
+
     // Ambient light
     const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
-    this.scene.add(ambientLight);
+    this.lights.add(ambientLight);
 
     // Directional light (sun)
     const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(10, 20, 10);
+    directionalLight.position.set(center.x + 10, 20, center.z + 10);
+    directionalLight.target.position.copy(center);
     directionalLight.castShadow = true;
     directionalLight.shadow.mapSize.width = 2048;
     directionalLight.shadow.mapSize.height = 2048;
@@ -131,26 +699,52 @@ export class GameEngine {
     directionalLight.shadow.camera.right = 20;
     directionalLight.shadow.camera.top = 20;
     directionalLight.shadow.camera.bottom = -20;
-    this.scene.add(directionalLight);
+    this.lights.add(directionalLight);
+    this.lights.add(directionalLight.target);
 
     // Point lights for atmosphere
     const pointLight1 = new THREE.PointLight(0xff6600, 1, 10);
-    pointLight1.position.set(5, 2, 5);
-    this.scene.add(pointLight1);
+    pointLight1.position.set(center.x + 5, 2, center.z + 5);
+    this.lights.add(pointLight1);
 
     const pointLight2 = new THREE.PointLight(0x0066ff, 1, 10);
-    pointLight2.position.set(-5, 2, -5);
-    this.scene.add(pointLight2);
+    pointLight2.position.set(center.x - 5, 2, center.z - 5);
+    this.lights.add(pointLight2);
   }
 
   addEnemies(count) {
+    // Spawns draw from their own stream of the run seed
+    const random = this.random.fork(`enemies-${this.level}`);
+
+    // Which enemy types can appear on this floor
+    const spawnTable = getSpawnTable(this.level);
+
+    // Enemies get tougher on deeper floors
+    const toughness = 1 + (this.level - 1) * 0.25;
+
+    // Keep enemies out of the spawn room when there are other rooms
+    const spawnRoom = this.dungeonGenerator.getRoomAt(
+      this.dungeonGenerator.getSpawnPosition()
+    );
+    const awayFromSpawn = (x, y) =>
+      this.dungeonGenerator.rooms.length <= 1 ||
+      this.dungeonGenerator.roomMap[y][x] !== spawnRoom;
+
     for (let i = 0; i < count; i++) {
-      // Generate random positions for enemies
-      const x = Math.random() * 20 - 10;
-      const z = Math.random() * 20 - 10;
+      // Pick a random floor tile for the enemy
+      const tile =
+        this.dungeonGenerator.getRandomFloorTile(random, awayFromSpawn) ||
+        this.dungeonGenerator.getRandomFloorTile(random);
+      if (!tile) break;
 
-      // Create enemy at position
-      const enemy = new Enemy(x, 1, z);
+      // Create an enemy drawn from this floor's spawn table
+      const { x, z } = this.dungeonGenerator.tileToWorld(tile.x, tile.y);
+      const type = random.weighted(spawnTable);
+      const enemy = new Enemy(x, 1, z, type);
+      enemy.health = Math.round(enemy.health * toughness);
+      enemy.maxHealth = enemy.health;
+      enemy.xp = Math.round(enemy.xp * toughness);
+      enemy.speed *= Math.min(toughness, 1.75);
 
       // Check if enemy position is valid (not inside a wall)
       if (
@@ -165,6 +759,7 @@ export class GameEngine {
           enemy.collider.radius
         );
         enemy.position.copy(validPosition);
+        enemy.previousPosition.copy(validPosition);
         enemy.mesh.position.copy(validPosition);
       }
 
@@ -173,9 +768,152 @@ export class GameEngine {
     }
   }
 
+  addItems(foodCount, lootCount) {
+    const random = this.random.fork(`items-${this.level}`);
+
+    // Items draw their own stream so drops on this floor are reproducible
+    this.lootRandom = this.random.fork(`drops-${this.level}`);
+
+    for (let i = 0; i < foodCount + lootCount; i++) {
+      const tile = this.dungeonGenerator.getRandomFloorTile(random);
+      if (!tile) break;
+
+      const type =
+        i < foodCount ? ITEM_TYPES.food : random.weighted(FLOOR_LOOT);
+      const quantity = type.category === "resource" ? random.int(1, 3) : 1;
+      this.spawnItem(
+        type,
+        quantity,
+        this.dungeonGenerator.tileToWorld(tile.x, tile.y)
+      );
+    }
+  }
+
+  spawnItem(type, quantity, position) {
+    const item = new WorldItem(position.x, 0.4, position.z, type, quantity);
+    this.items.push(item);
+    this.scene.add(item.mesh);
+    return item;
+  }
+
+  removeItem(item) {
+    item.collect();
+    this.scene.remove(item.mesh);
+    disposeObject(item.mesh);
+    this.items = this.items.filter((other) => other !== item);
+    if (this.nearbyItem === item) this.nearbyItem = null;
+  }
+
+  // Move as much of a world item as fits into the player's inventory.
+  // Returns whether anything was picked up.
+  pickUpItem(item) {
+    const leftover = this.player.inventory.add(item.type, item.quantity);
+    if (leftover === item.quantity) return false; // Inventory full
+
+    this.events.emit(GAME_EVENTS.ITEM_PICKED_UP, {
+      type: item.type,
+      quantity: item.quantity - leftover,
+    });
+
+    item.quantity = leftover;
+    if (leftover === 0) {
+      this.removeItem(item);
+    }
+    return true;
+  }
+
+  // Whether there's a run in progress for inventory actions to change. The
+  // world behind the title and game-over screens isn't being recorded.
+  canUseItems() {
+    return this.state === "playing" || this.state === "paused";
+  }
+
+  // Use one item from an inventory slot
+  useItem(slotIndex) {
+    if (!this.canUseItems()) return false;
+    if (!this.allowCommand("useItem", slotIndex)) return false;
+
+    const slot = this.player.inventory.slots[slotIndex];
+    if (!this.player.inventory.use(slotIndex, this.player)) return false;
+
+    this.events.emit(GAME_EVENTS.ITEM_USED, { type: slot.type });
+    return true;
+  }
+
+  // Drop a whole stack at the player's feet
+  dropItem(slotIndex) {
+    if (!this.canUseItems()) return null;
+    if (!this.allowCommand("dropItem", slotIndex)) return null;
+
+    const stack = this.player.inventory.removeFromSlot(slotIndex);
+    if (!stack) return null;
+
+    const item = this.spawnItem(
+      stack.type,
+      stack.quantity,
+      this.player.position
+    );
+
+    // Don't hoover it straight back up: wait until the player steps off it
+    item.waitForPlayerToLeave = true;
+
+    this.events.emit(GAME_EVENTS.ITEM_DROPPED, {
+      type: stack.type,
+      quantity: stack.quantity,
+      position: item.position,
+    });
+    return item;
+  }
+
+  updateItems(deltaTime) {
+    const interacting = this.inputHandler.isInteracting();
+    const pressedInteract = interacting && !this.wasInteracting;
+    this.wasInteracting = interacting;
+
+    // Find the closest item in reach, for E pickups and the HUD prompt
+    this.nearbyItem = null;
+    let nearestDistance = this.player.pickupRadius;
+
+    for (const item of [...this.items]) {
+      item.update(deltaTime);
+
+      const touching = this.player.checkCollision(item);
+      if (item.waitForPlayerToLeave) {
+        if (touching) continue;
+        item.waitForPlayerToLeave = false;
+      }
+
+      // Some items are collected just by walking over them
+      if (item.type.autoPickup && touching && this.pickUpItem(item)) {
+        continue;
+      }
+
+      const distance = this.player.position.distanceTo(item.position);
+      if (distance <= nearestDistance) {
+        nearestDistance = distance;
+        this.nearbyItem = item;
+      }
+    }
+
+    if (pressedInteract && this.nearbyItem) {
+      this.pickUpItem(this.nearbyItem);
+    }
+  }
+
+  // Roll an enemy's drops where it fell
+  dropLoot(enemy) {
+    for (const drop of enemy.drops) {
+      const type = ITEM_TYPES[drop.item];
+      if (type && this.lootRandom.chance(drop.chance)) {
+        this.spawnItem(type, 1, enemy.position);
+      }
+    }
+  }
+
   start() {
     if (!this.isRunning) {
       this.isRunning = true;
+      this.accumulator = 0;
       this.clock.start();
       this.gameLoop();
     }
@@ -190,58 +928,299 @@ export class GameEngine {
 
     requestAnimationFrame(this.gameLoop);
 
-    const deltaTime = this.clock.getDelta();
-    this.update(deltaTime);
+    // Clamp long frames so the simulation doesn't try to replay seconds
+    // of missed time in one go
+    this.frameTime = Math.min(this.clock.getDelta(), this.maxFrameTime);
+
+    // Pick up gamepad presses, even in menus
+    this.playerInput.poll();
+
+    // Menus keep rendering, but the simulation only runs while playing
+    if (this.state === "playing") {
+      this.accumulator += this.frameTime;
+
+      // Advance the simulation in fixed steps
+      let steps = 0;
+      while (
+        this.accumulator >= this.fixedTimeStep &&
+        steps < this.maxSubSteps &&
+        this.state === "playing"
+      ) {
+        this.step();
+        this.accumulator -= this.fixedTimeStep;
+        steps++;
+      }
+
+      // If we still couldn't catch up, drop the backlog rather than spiral
+      if (this.accumulator >= this.fixedTimeStep) {
+        this.accumulator %= this.fixedTimeStep;
+      }
+    }
+
+    // Blend between the last two simulation steps for smooth visuals
+    this.interpolate(this.accumulator / this.fixedTimeStep);
+
+    // Purely visual animation runs per rendered frame
+    this.dungeonGenerator.animateDecorations();
+    this.updateEffects(this.frameTime);
+
+    // Update HUD and debug info
+    this.updateUI();
+    this.updateDebugInfo();
+
     this.render();
   }
 
+  // Advance the simulation by a number of fixed steps without rendering.
+  // This is how headless runs are driven. Stops early when the run is no
+  // longer playing, or is held on an upgrade choice the input source didn't
+  // make (see game.upgradeChoices). Returns the number of steps run.
+  advance(steps = 1) {
+    let count = 0;
+    while (count < steps && this.state === "playing") {
+      const tick = this.tick;
+      this.step();
+      if (this.tick === tick) break;
+      count++;
+    }
+    return count;
+  }
+
+  // Run one fixed simulation step
+  step() {
+    if (this.replay) {
+      this.applyReplayCommands();
+
+      // Out of recording: pause and let the player take over
+      if (this.inputHandler.isFinished()) {
+        this.stopReplay();
+        this.setState("paused");
+        return;
+      }
+    }
+
+    // Headless runs have no upgrade menu, so the input source chooses
+    if (this.upgradeChoices && this.headless && !this.replay) {
+      const index = this.inputHandler.getUpgradeChoice?.();
+      if (index != null) this.chooseUpgrade(index);
+    }
+
+    // Hold the simulation while a level-up upgrade is being chosen
+    if (this.upgradeChoices) return;
+
+    // Remember where everything was, for interpolation
+    for (const entity of this.entities) {
+      entity.previousPosition.copy(entity.position);
+    }
+
+    this.update(this.fixedTimeStep);
+  }
+
+  // Place meshes between the previous and current simulation positions,
+  // then bring the camera after them. alpha is how far we are into the
+  // next step.
+  interpolate(alpha) {
+    for (const entity of this.entities) {
+      entity.mesh.position.lerpVectors(
+        entity.previousPosition,
+        entity.position,
+        alpha
+      );
+    }
+
+    if (this.cameraController) {
+      this.cameraController.update(this.frameTime);
+    }
+  }
+
   update(deltaTime) {
+    this.runStats.time += deltaTime;
+
     // Update input handler
     this.inputHandler.update(deltaTime);
+    if (this.recorder) this.recorder.capture(this.inputHandler);
+    this.tick++;
+
+    // Reset the pathfinding budget for this frame
+    this.pathfinder.update(deltaTime);
 
     // Update all entities
     for (const entity of this.entities) {
-      entity.update(deltaTime, this.inputHandler);
-
-      // Check for collisions with player
-      if (entity !== this.player && this.player.checkCollision(entity)) {
-        // Handle collision (e.g., take damage)
-        this.health -= 5;
-        this.updateUI();
-
-        // Game over check
-        if (this.health <= 0) {
-          alert("Game Over! Refresh to restart.");
-          this.stop();
-        }
+      if (entity === this.player) {
+        // The player is driven by input
+        entity.update(deltaTime, this.inputHandler);
+        continue;
+      }
+
+      // Everything else reacts to the world around it
+      entity.update(deltaTime, this.world);
+
+      // Touching a living enemy hurts, by that enemy's contact damage
+      if (
+        !entity.isDead &&
+        entity.contactDamage > 0 &&
+        this.player.checkCollision(entity)
+      ) {
+        this.dealDamage(this.player, entity.contactDamage, entity);
       }
     }
 
-    // Handle player attacks
-    if (this.inputHandler.isAttacking() && this.player.attackCooldown <= 0) {
-      // Check for enemies in attack range
-      for (const entity of this.entities) {
-        if (
-          entity !== this.player &&
-          entity instanceof Enemy &&
-          !entity.isDead
-        ) {
-          if (this.player.isInAttackRange(entity)) {
-            // Apply damage to enemy
-            entity.takeDamage(this.player.attackDamage);
-
-            // Visual feedback for attack
-            this.createAttackEffect(entity.position);
-          }
+    // Starvation hurts over time, without granting invulnerability
+    const starvation = this.player.takeStarvationDamage();
+    if (starvation > 0) {
+      this.dealDamage(this.player, starvation, null, {
+        ignoreInvulnerability: true,
+      });
+    }
+
+    // Update world items and pickups
+    this.updateItems(deltaTime);
+
+    // Keep living entities from stacking on top of each other
+    separateEntities(this.entities, this.dungeonGenerator);
+
+    // Reveal what the player can see
+    this.updateExploration();
+
+    // Keep the torch lights around the player
+    this.dungeonGenerator.updateTorchLights(this.player.position);
+
+    // Descend when the player reaches the stairs
+    if (this.dungeonGenerator.isOnStairs(this.player.position)) {
+      this.loadLevel(this.level + 1);
+      this.saveGame();
+      return;
+    }
+  }
+
+  updateExploration() {
+    this.exploredMap.reveal(
+      this.dungeonGenerator,
+      this.player.position,
+      this.viewRadius
+    );
+  }
+
+  // Hit every living enemy within reach of the player's swing, applying
+  // the equipped weapon's effects
+  resolvePlayerAttack() {
+    const player = this.player;
+    const { knockback, effects } = player.weapon;
+
+    for (const entity of this.entities) {
+      if (
+        entity instanceof Enemy &&
+        !entity.isDead &&
+        player.isInAttackRange(entity)
+      ) {
+        let damage = player.getAttackDamage();
+        if (effects.backstab && player.isBehind(entity)) {
+          damage *= effects.backstab;
         }
+
+        const hit = this.dealDamage(entity, damage, player, { knockback });
+        if (hit && effects.stagger) entity.stagger();
       }
     }
+  }
 
-    // Update debug info
-    this.updateDebugInfo();
+  // Roll a choice of upgrades for the next pending level-up. The
+  // simulation waits until one is chosen.
+  offerUpgrades() {
+    if (this.upgradeChoices || this.player.pendingLevelUps === 0) return;
+
+    const pool = [...UPGRADES];
+    this.upgradeChoices = [];
+    while (this.upgradeChoices.length < 3 && pool.length > 0) {
+      const index = this.upgradeRandom.int(0, pool.length - 1);
+      this.upgradeChoices.push(pool.splice(index, 1)[0]);
+    }
+
+    this.events.emit(GAME_EVENTS.UPGRADES_OFFERED, {
+      choices: this.upgradeChoices,
+    });
+  }
+
+  chooseUpgrade(index) {
+    if (!this.upgradeChoices || !this.upgradeChoices[index]) return;
+    if (!this.allowCommand("chooseUpgrade", index)) return;
+
+    const upgrade = this.upgradeChoices[index];
+    applyUpgrade(this.player, upgrade);
+    this.player.pendingLevelUps--;
+    this.upgradeChoices = null;
+    this.events.emit(GAME_EVENTS.UPGRADE_CHOSEN, { upgrade });
+
+    // Several levels may have been gained at once
+    this.offerUpgrades();
+  }
+
+  // Route all damage through the shared damage model and announce each hit
+  dealDamage(target, amount, source, options = {}) {
+    const event = applyDamage(target, amount, source, options);
+    if (!event) return null;
+
+    this.events.emit(GAME_EVENTS.DAMAGE_DEALT, event);
+    if (event.killed) {
+      this.events.emit(GAME_EVENTS.ENTITY_DIED, {
+        entity: target,
+        source,
+        position: event.position,
+      });
+    }
+
+    return event;
+  }
+
+  // The engine's own reactions to game events
+  addEventHandlers() {
+    // Resolve the player's swings as they start
+    this.events.on(GAME_EVENTS.ATTACK_STARTED, ({ attacker }) => {
+      if (attacker === this.player) this.resolvePlayerAttack();
+    });
+
+    // Visual feedback for hits on enemies
+    this.events.on(GAME_EVENTS.DAMAGE_DEALT, ({ target, position }) => {
+      if (target !== this.player) this.createAttackEffect(position);
+    });
+
+    this.events.on(GAME_EVENTS.ENTITY_DIED, ({ entity }) => {
+      if (entity === this.player) {
+        if (this.state !== "playing") return;
+
+        // A finished run can't be continued (unless it's only a replay)
+        if (!this.replay) this.saveStorage.clear();
+        this.setState("gameOver");
+      } else if (entity instanceof Enemy) {
+        this.dropLoot(entity);
+
+        // Award XP for the kill
+        if (this.player.gainExperience(entity.xp) > 0) {
+          this.offerUpgrades();
+        }
+      }
+    });
+
+    // Tally the game-over summary
+    this.events.on(GAME_EVENTS.DAMAGE_DEALT, ({ target, source, amount }) => {
+      if (target === this.player) {
+        this.runStats.damageTaken += amount;
+      } else if (source === this.player) {
+        this.runStats.damageDealt += amount;
+      }
+    });
+    this.events.on(GAME_EVENTS.ENTITY_DIED, ({ entity }) => {
+      if (entity !== this.player) this.runStats.kills++;
+    });
+    this.events.on(GAME_EVENTS.ITEM_PICKED_UP, ({ quantity }) => {
+      this.runStats.itemsPickedUp += quantity;
+    });
   }
 
   createAttackEffect(position) {
+    // Effects are only for show
+    if (this.headless) return;
+
     // Create a simple visual effect for attacks
     const geometry = new THREE.SphereGeometry(0.3, 8, 8);
     const material = new THREE.MeshBasicMaterial({
@@ -255,85 +1234,39 @@ export class GameEngine {
     effect.position.y += 1; // Position above the ground
 
     this.scene.add(effect);
+    this.effects.push({ mesh: effect, age: 0, duration: 0.3 });
+  }
 
-    // Animate the effect
-    const startTime = Date.now();
-    const duration = 300; // milliseconds
-
-    const animateEffect = () => {
-      const elapsed = Date.now() - startTime;
-      const progress = elapsed / duration;
+  // Animate effects once per rendered frame, removing finished ones
+  updateEffects(frameTime) {
+    this.effects = this.effects.filter((effect) => {
+      effect.age += frameTime;
+      const progress = effect.age / effect.duration;
 
       if (progress < 1) {
-        effect.scale.set(1 + progress, 1 + progress, 1 + progress);
-        effect.material.opacity = 0.8 * (1 - progress);
-
-        requestAnimationFrame(animateEffect);
-      } else {
-        this.scene.remove(effect);
+        effect.mesh.scale.set(1 + progress, 1 + progress, 1 + progress);
+        effect.mesh.material.opacity = 0.8 * (1 - progress);
+        return true;
       }
-    };
 
-    animateEffect();
+      this.scene.remove(effect.mesh);
+      disposeObject(effect.mesh);
+      return false;
+    });
   }
 
   render() {
-    this.renderer.render(this.scene, this.camera);
+    if (this.renderer) {
+      this.renderer.render(this.scene, this.camera);
+    }
   }
 
   updateUI() {
-    // Update health bar
-    const healthFill = document.getElementById("health-fill");
-    healthFill.style.width = `${this.health}%`;
-
-    // Update stats
-    document.getElementById("health-value").textContent = this.health;
-    document.getElementById("level-value").textContent = this.level;
-  }
-
-  addDebugInfo() {
-    // Create debug container
-    const debugContainer = document.createElement("div");
-    debugContainer.id = "debug-container";
-    debugContainer.style.position = "absolute";
-    debugContainer.style.bottom = "10px";
-    debugContainer.style.left = "10px";
-    debugContainer.style.color = "white";
-    debugContainer.style.fontFamily = "monospace";
-    debugContainer.style.fontSize = "12px";
-    debugContainer.style.backgroundColor = "rgba(0, 0, 0, 0.5)";
-    debugContainer.style.padding = "5px";
-    debugContainer.style.borderRadius = "5px";
-    debugContainer.style.pointerEvents = "none";
-
-    // Add debug text
-    const debugText = document.createElement("div");
-    debugText.id = "debug-text";
-    debugContainer.appendChild(debugText);
-
-    document.body.appendChild(debugContainer);
+    if (this.hud) this.hud.update(this);
+    if (this.minimap) this.minimap.update(this);
   }
 
   updateDebugInfo() {
-    const debugText = document.getElementById("debug-text");
-    if (debugText) {
-      // Count active enemies
-      const activeEnemies = this.entities.filter(
-        (entity) => entity instanceof Enemy && !entity.isDead
-      ).length;
-
-      // Update debug text
-      debugText.innerHTML = `
-        FPS: ${Math.round(1 / this.clock.getDelta())}<br>
-        Player Position: ${this.player.position.x.toFixed(
-          2
-        )}, ${this.player.position.y.toFixed(
-        2
-      )}, ${this.player.position.z.toFixed(2)}<br>
-        Active Enemies: ${activeEnemies}<br>
-        Attack Cooldown: ${this.player.attackCooldown.toFixed(2)}<br>
-        Controls: WASD to move, Space to jump, Left Click to attack
-      `;
-    }
+    if (this.hud) this.hud.updateDebugInfo(this);
   }
 }
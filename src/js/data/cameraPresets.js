@@ -0,0 +1,45 @@
+// Camera presets, cycled with the camera action (C by default). The camera
+// looks at a point `lookAhead` in front of the player and `height` above
+// the floor, from `distance` away and `pitch` radians above horizontal.
+//
+// damping   how quickly the camera catches up, per second (higher is
+//           snappier)
+// minPitch  how far the mouse can tilt the view up...
+// maxPitch  ...and down
+export const CAMERA_PRESETS = {
+  follow: {
+    id: "follow",
+    name: "Follow",
+    distance: Math.hypot(8, 17),
+    pitch: Math.atan2(8, 17),
+    lookAhead: 5,
+    height: 0,
+    damping: 8,
+    minPitch: 0.2,
+    maxPitch: 1.2,
+  },
+
+  close: {
+    id: "close",
+    name: "Close follow",
+    distance: 6,
+    pitch: 0.35,
+    lookAhead: 1.5,
+    height: 1.2,
+    damping: 12,
+    minPitch: 0.05,
+    maxPitch: 1.0,
+  },
+
+  topDown: {
+    id: "topDown",
+    name: "Top-down",
+    distance: 24,
+    pitch: 1.45,
+    lookAhead: 0,
+    height: 0,
+    damping: 6,
+    minPitch: 1.1,
+    maxPitch: 1.5,
+  },
+};
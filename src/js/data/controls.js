@@ -0,0 +1,61 @@
+// Actions the player can rebind, in the order the controls screen lists
+// them. `context` groups the actions that are live together (gameplay
+// unless given). Bindings only conflict within a context, so the level-up
+// picks can reuse buttons that move the player.
+export const ACTIONS = [
+  { id: "moveForward", name: "Move forward" },
+  { id: "moveBack", name: "Move back" },
+  { id: "moveLeft", name: "Move left" },
+  { id: "moveRight", name: "Move right" },
+  { id: "attack", name: "Attack" },
+  { id: "jump", name: "Jump" },
+  { id: "sprint", name: "Sprint" },
+  { id: "dash", name: "Dash" },
+  { id: "interact", name: "Interact / pick up" },
+  { id: "inventory", name: "Inventory" },
+  { id: "map", name: "Full-screen map" },
+  { id: "camera", name: "Change camera" },
+  { id: "pause", name: "Pause" },
+  { id: "pickUpgrade1", name: "Pick upgrade 1", context: "levelUp" },
+  { id: "pickUpgrade2", name: "Pick upgrade 2", context: "levelUp" },
+  { id: "pickUpgrade3", name: "Pick upgrade 3", context: "levelUp" },
+];
+
+// Actions that pick the upgrade in each slot of the level-up panel
+export const UPGRADE_PICK_ACTIONS = [
+  "pickUpgrade1",
+  "pickUpgrade2",
+  "pickUpgrade3",
+];
+
+// Default bindings for each action. A binding is "<device>:<code>":
+//
+// key:<code>     KeyboardEvent.code, the physical key (e.g. key:KeyW)
+// mouse:<n>      MouseEvent.button (0 left, 1 middle, 2 right)
+// pad:<n>        standard-mapping gamepad button (0 A, 1 B, 2 X, 3 Y,
+//                4/5 bumpers, 6/7 triggers, 9 Start, 10/11 left/right
+//                stick click, 12-15 D-pad)
+//
+// The gamepad's left stick always moves and its right stick turns the
+// camera; neither is rebindable.
+export const DEFAULT_BINDINGS = {
+  moveForward: ["key:KeyW", "key:ArrowUp", "pad:12"],
+  moveBack: ["key:KeyS", "key:ArrowDown", "pad:13"],
+  moveLeft: ["key:KeyA", "key:ArrowLeft", "pad:14"],
+  moveRight: ["key:KeyD", "key:ArrowRight", "pad:15"],
+  attack: ["mouse:0", "pad:2", "pad:7"],
+  jump: ["key:Space", "pad:0"],
+  sprint: ["key:ShiftLeft", "pad:4", "pad:10"],
+  dash: ["key:KeyQ", "pad:5"],
+  interact: ["key:KeyE", "pad:3"],
+  inventory: ["key:KeyI", "pad:8"],
+  map: ["key:KeyM", "pad:1"],
+  camera: ["key:KeyC", "pad:11"],
+  pause: ["key:Escape", "pad:9"],
+  pickUpgrade1: ["key:Digit1", "pad:14"],
+  pickUpgrade2: ["key:Digit2", "pad:12"],
+  pickUpgrade3: ["key:Digit3", "pad:15"],
+};
+
+// At most this many bindings per action
+export const MAX_BINDINGS = 3;
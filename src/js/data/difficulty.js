@@ -0,0 +1,67 @@
+// Survival tuning per difficulty. Rates are per second; costs are per use.
+//
+// hungerDrain        hunger lost per second
+// starvationDamage   health lost per second while hunger is empty
+// staminaRegen       stamina regained per second once not spending it
+// staminaRegenDelay  seconds after spending stamina before it regenerates
+// restDelay          seconds standing still before the player is resting
+// restMultiplier     stamina regen multiplier while resting
+// sprintCost         stamina per second while sprinting
+// jumpCost           stamina per jump
+// dashCost           stamina per dash
+// attackCost         stamina per attack
+// foodPerFloor       food items spawned on each floor
+export const DIFFICULTIES = {
+  easy: {
+    id: "easy",
+    hungerDrain: 0.5,
+    starvationDamage: 1,
+    staminaRegen: 30,
+    staminaRegenDelay: 0.5,
+    restDelay: 1,
+    restMultiplier: 2.5,
+    sprintCost: 10,
+    jumpCost: 5,
+    dashCost: 10,
+    attackCost: 5,
+    foodPerFloor: 6,
+  },
+
+  normal: {
+    id: "normal",
+    hungerDrain: 1,
+    starvationDamage: 2,
+    staminaRegen: 20,
+    staminaRegenDelay: 0.8,
+    restDelay: 1.5,
+    restMultiplier: 2,
+    sprintCost: 15,
+    jumpCost: 10,
+    dashCost: 15,
+    attackCost: 8,
+    foodPerFloor: 4,
+  },
+
+  hard: {
+    id: "hard",
+    hungerDrain: 1.75,
+    starvationDamage: 4,
+    staminaRegen: 15,
+    staminaRegenDelay: 1.2,
+    restDelay: 2,
+    restMultiplier: 1.5,
+    sprintCost: 20,
+    jumpCost: 15,
+    dashCost: 20,
+    attackCost: 12,
+    foodPerFloor: 2,
+  },
+};
+
+// Survival tuning for a difficulty id, or normal if it isn't one. Ids can
+// come from the URL or a save, so only the table's own keys count.
+export function getDifficulty(id) {
+  return Object.hasOwn(DIFFICULTIES, id)
+    ? DIFFICULTIES[id]
+    : DIFFICULTIES.normal;
+}
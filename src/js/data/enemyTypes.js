@@ -0,0 +1,139 @@
+// Enemy archetypes. Each entry describes everything that makes an enemy
+// type distinct: its stats, how it looks, how it fights, what it drops and
+// how often it spawns. Enemies are built from these by
+// `new Enemy(x, y, z, type)`.
+//
+// stats.contactDamage is dealt just by touching the player.
+// behavior.style is "melee" (close in and swing) or "ranged" (keep
+// behavior.keepDistance away and strike from attackRadius with line of
+// sight). Drops are rolled per entry with the given chance, and xp is
+// awarded to the player for the kill.
+export const ENEMY_TYPES = {
+  grunt: {
+    id: "grunt",
+    name: "Grunt",
+    stats: {
+      health: 100,
+      speed: 2,
+      damage: 10,
+      detectionRadius: 10,
+      attackRadius: 1.5,
+      contactDamage: 5,
+    },
+    mesh: {
+      color: 0xff0000,
+      eyeColor: 0xffff00,
+      radius: 0.5,
+      length: 1,
+    },
+    behavior: {
+      style: "melee",
+      windupTime: 0.5,
+      recoveryTime: 0.6,
+      patrolRadius: 6,
+    },
+    drops: [{ item: "food", chance: 0.25 }],
+    xp: 20,
+    spawnWeight: 6,
+    minFloor: 1,
+  },
+
+  skitterer: {
+    id: "skitterer",
+    name: "Skitterer",
+    stats: {
+      health: 40,
+      speed: 4.5,
+      damage: 5,
+      detectionRadius: 12,
+      attackRadius: 1.2,
+      contactDamage: 3,
+    },
+    mesh: {
+      color: 0xff8800,
+      eyeColor: 0xffffff,
+      radius: 0.3,
+      length: 0.4,
+    },
+    behavior: {
+      style: "melee",
+      windupTime: 0.25,
+      recoveryTime: 0.4,
+      patrolRadius: 8,
+    },
+    drops: [{ item: "bone", chance: 0.3 }],
+    xp: 10,
+    spawnWeight: 4,
+    minFloor: 1,
+  },
+
+  brute: {
+    id: "brute",
+    name: "Brute",
+    stats: {
+      health: 300,
+      speed: 1.3,
+      damage: 25,
+      detectionRadius: 8,
+      attackRadius: 2,
+      contactDamage: 10,
+    },
+    mesh: {
+      color: 0x882222,
+      eyeColor: 0xff0000,
+      radius: 0.8,
+      length: 1.2,
+    },
+    behavior: {
+      style: "melee",
+      windupTime: 1,
+      recoveryTime: 1.2,
+      patrolRadius: 4,
+    },
+    drops: [
+      { item: "food", chance: 0.5 },
+      { item: "healthPotion", chance: 0.2 },
+    ],
+    xp: 60,
+    spawnWeight: 2,
+    minFloor: 3,
+  },
+
+  caster: {
+    id: "caster",
+    name: "Caster",
+    stats: {
+      health: 60,
+      speed: 1.8,
+      damage: 12,
+      detectionRadius: 14,
+      attackRadius: 8,
+      contactDamage: 0,
+    },
+    mesh: {
+      color: 0x8833ff,
+      eyeColor: 0x00ffff,
+      radius: 0.45,
+      length: 1.1,
+    },
+    behavior: {
+      style: "ranged",
+      windupTime: 1,
+      recoveryTime: 1.5,
+      patrolRadius: 5,
+      keepDistance: 5,
+    },
+    drops: [{ item: "crystal", chance: 0.4 }],
+    xp: 35,
+    spawnWeight: 2,
+    minFloor: 2,
+  },
+};
+
+// Weighted spawn table for a dungeon floor: every type that can appear
+// that deep, with its spawn weight
+export function getSpawnTable(floor) {
+  return Object.values(ENEMY_TYPES)
+    .filter((type) => floor >= type.minFloor)
+    .map((type) => ({ value: type, weight: type.spawnWeight }));
+}
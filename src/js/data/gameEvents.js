@@ -0,0 +1,31 @@
+// Every event that goes over the game's EventBus, with its payload. Systems
+// (UI, effects, stats, audio) subscribe to these instead of being called
+// directly from the simulation.
+export const GAME_EVENTS = {
+  // { target, source, amount, position, health, killed }
+  DAMAGE_DEALT: "damage-dealt",
+  // { entity, source, position }
+  ENTITY_DIED: "entity-died",
+  // { attacker, target } - target is null for the player's swings
+  ATTACK_STARTED: "attack-started",
+  // { type, quantity }
+  ITEM_PICKED_UP: "item-picked-up",
+  // { type }
+  ITEM_USED: "item-used",
+  // { type, quantity, position }
+  ITEM_DROPPED: "item-dropped",
+  // { weapon, previous } - WEAPONS entries
+  WEAPON_EQUIPPED: "weapon-equipped",
+  // { amount, experience }
+  XP_GAINED: "xp-gained",
+  // { level }
+  PLAYER_LEVELED_UP: "player-leveled-up",
+  // { choices }
+  UPGRADES_OFFERED: "upgrades-offered",
+  // { upgrade }
+  UPGRADE_CHOSEN: "upgrade-chosen",
+  // { level, previous } - the dungeon floor
+  LEVEL_CHANGED: "level-changed",
+  // { state, previous } - see GameEngine.setState()
+  STATE_CHANGED: "state-changed",
+};
@@ -0,0 +1,132 @@
+import { WEAPONS } from "./weapons.js";
+
+// Item types. World items and inventory stacks refer to these by id.
+//
+// category     food, potion, key, resource or weapon
+// stackSize    how many fit in one inventory slot
+// autoPickup   collected just by walking over it (otherwise press E)
+// effects      applied when the item is used: { health, hunger, stamina }.
+//              Items without effects can't be used, only carried or dropped.
+// weapon       for weapons, the WEAPONS entry equipped by using the item
+// mesh         { shape: "sphere" | "box" | "cylinder", color, size }
+export const ITEM_TYPES = {
+  food: {
+    id: "food",
+    name: "Meat",
+    category: "food",
+    stackSize: 10,
+    autoPickup: false,
+    effects: { hunger: 30, stamina: 10 },
+    mesh: { shape: "sphere", color: 0xa0522d, size: 0.25 },
+  },
+
+  healthPotion: {
+    id: "healthPotion",
+    name: "Health Potion",
+    category: "potion",
+    stackSize: 5,
+    autoPickup: false,
+    effects: { health: 40 },
+    mesh: { shape: "cylinder", color: 0xff2244, size: 0.2 },
+  },
+
+  staminaPotion: {
+    id: "staminaPotion",
+    name: "Stamina Potion",
+    category: "potion",
+    stackSize: 5,
+    autoPickup: false,
+    effects: { stamina: 100 },
+    mesh: { shape: "cylinder", color: 0x22dd66, size: 0.2 },
+  },
+
+  key: {
+    id: "key",
+    name: "Rusty Key",
+    category: "key",
+    stackSize: 5,
+    autoPickup: true,
+    mesh: { shape: "box", color: 0xffcc00, size: 0.2 },
+  },
+
+  bone: {
+    id: "bone",
+    name: "Bone",
+    category: "resource",
+    stackSize: 99,
+    autoPickup: true,
+    mesh: { shape: "cylinder", color: 0xf5f5dc, size: 0.15 },
+  },
+
+  crystal: {
+    id: "crystal",
+    name: "Crystal Shard",
+    category: "resource",
+    stackSize: 99,
+    autoPickup: true,
+    mesh: { shape: "box", color: 0x66ccff, size: 0.2 },
+  },
+
+  wood: {
+    id: "wood",
+    name: "Wood",
+    category: "resource",
+    stackSize: 99,
+    autoPickup: true,
+    mesh: { shape: "box", color: 0x8b5a2b, size: 0.25 },
+  },
+
+  sword: {
+    id: "sword",
+    name: "Sword",
+    category: "weapon",
+    stackSize: 1,
+    autoPickup: false,
+    weapon: WEAPONS.sword,
+    mesh: { shape: "box", color: 0xcccccc, size: 0.3 },
+  },
+
+  dagger: {
+    id: "dagger",
+    name: "Dagger",
+    category: "weapon",
+    stackSize: 1,
+    autoPickup: false,
+    weapon: WEAPONS.dagger,
+    mesh: { shape: "box", color: 0xddddff, size: 0.2 },
+  },
+
+  greatsword: {
+    id: "greatsword",
+    name: "Greatsword",
+    category: "weapon",
+    stackSize: 1,
+    autoPickup: false,
+    weapon: WEAPONS.greatsword,
+    mesh: { shape: "box", color: 0x8888aa, size: 0.4 },
+  },
+
+  spear: {
+    id: "spear",
+    name: "Spear",
+    category: "weapon",
+    stackSize: 1,
+    autoPickup: false,
+    weapon: WEAPONS.spear,
+    mesh: { shape: "cylinder", color: 0xaa8855, size: 0.3 },
+  },
+};
+
+// Loose items scattered on each floor (food is spawned separately, by
+// difficulty), as weighted entries for Random.weighted
+export const FLOOR_LOOT = [
+  { value: ITEM_TYPES.healthPotion, weight: 2 },
+  { value: ITEM_TYPES.staminaPotion, weight: 2 },
+  { value: ITEM_TYPES.key, weight: 1 },
+  { value: ITEM_TYPES.bone, weight: 3 },
+  { value: ITEM_TYPES.crystal, weight: 2 },
+  { value: ITEM_TYPES.wood, weight: 4 },
+  { value: ITEM_TYPES.dagger, weight: 1 },
+  { value: ITEM_TYPES.greatsword, weight: 1 },
+  { value: ITEM_TYPES.spear, weight: 1 },
+];
@@ -0,0 +1,70 @@
+// Upgrades offered on level-up. Each one changes a single Player stat,
+// either by adding to it or multiplying it. Attack upgrades change the
+// player's modifiers, so they carry over to whichever weapon is equipped.
+// Stats with a matching current value (maxHealth -> health, maxStamina ->
+// stamina) are topped up by the same amount so the upgrade is felt straight
+// away.
+export const UPGRADES = [
+  {
+    id: "sharpen",
+    name: "Whetstone",
+    description: "+20% attack damage",
+    stat: "damageMultiplier",
+    multiply: 1.2,
+  },
+  {
+    id: "quickHands",
+    name: "Quick Hands",
+    description: "Attack 15% faster",
+    stat: "swingTimeMultiplier",
+    multiply: 0.85,
+  },
+  {
+    id: "longArm",
+    name: "Long Arm",
+    description: "+0.3 attack reach",
+    stat: "reachBonus",
+    add: 0.3,
+  },
+  {
+    id: "fleetFoot",
+    name: "Fleet Foot",
+    description: "+10% movement speed",
+    stat: "speed",
+    multiply: 1.1,
+  },
+  {
+    id: "toughness",
+    name: "Toughness",
+    description: "+20 max health",
+    stat: "maxHealth",
+    add: 20,
+  },
+  {
+    id: "endurance",
+    name: "Endurance",
+    description: "+20 max stamina",
+    stat: "maxStamina",
+    add: 20,
+  },
+];
+
+// Current values that follow their maximum when it is upgraded
+const CURRENT_STATS = {
+  maxHealth: "health",
+  maxStamina: "stamina",
+  maxHunger: "hunger",
+};
+
+export function applyUpgrade(player, upgrade) {
+  const before = player[upgrade.stat];
+  let after = before;
+  if (upgrade.add) after += upgrade.add;
+  if (upgrade.multiply) after *= upgrade.multiply;
+  player[upgrade.stat] = after;
+
+  const current = CURRENT_STATS[upgrade.stat];
+  if (current) {
+    player[current] += after - before;
+  }
+}
@@ -0,0 +1,87 @@
+// Weapons the player can wield. The equipped one decides how attacks
+// land; level-up upgrades scale it (see Player's attack modifiers). Each
+// weapon has an item type of the same id, so it can be carried and
+// swapped from the inventory.
+//
+// damage       damage per hit, before the combo multiplier
+// reach        how far a hit lands from the player
+// arc          width of the swing in degrees, centred on the player's facing
+// swingTime    seconds per swing, before the next one can start
+// knockback    push applied to enemies hit
+// staminaCost  multiplier on the difficulty's stamina cost per attack
+// combo        damage multiplier for each swing of a chain. A swing started
+//              within comboWindow seconds of the last one ending continues
+//              the chain; it starts over after the last swing.
+// style        "slash" sweeps across the arc, "thrust" stabs straight ahead
+// effects      backstab: damage multiplier for hits from behind
+//              stagger: hits interrupt enemies winding up a strike
+//              lunge: each swing carries the player forward (units/second)
+// mesh         { length, width, color }
+export const WEAPONS = {
+  sword: {
+    id: "sword",
+    name: "Sword",
+    damage: 25,
+    reach: 2,
+    arc: 120,
+    swingTime: 0.5,
+    knockback: 5,
+    staminaCost: 1,
+    combo: [1, 1, 1.5],
+    comboWindow: 0.3,
+    style: "slash",
+    effects: {},
+    mesh: { length: 1, width: 0.1, color: 0xcccccc },
+  },
+
+  dagger: {
+    id: "dagger",
+    name: "Dagger",
+    damage: 14,
+    reach: 1.4,
+    arc: 90,
+    swingTime: 0.25,
+    knockback: 2,
+    staminaCost: 0.5,
+    combo: [1, 1, 1, 2],
+    comboWindow: 0.25,
+    style: "slash",
+    effects: { backstab: 2.5 },
+    mesh: { length: 0.5, width: 0.08, color: 0xddddff },
+  },
+
+  greatsword: {
+    id: "greatsword",
+    name: "Greatsword",
+    damage: 55,
+    reach: 2.6,
+    arc: 160,
+    swingTime: 1.1,
+    knockback: 10,
+    staminaCost: 2.5,
+    combo: [1, 1.3],
+    comboWindow: 0.4,
+    style: "slash",
+    effects: { stagger: true },
+    mesh: { length: 1.7, width: 0.2, color: 0x8888aa },
+  },
+
+  spear: {
+    id: "spear",
+    name: "Spear",
+    damage: 30,
+    reach: 3.2,
+    arc: 40,
+    swingTime: 0.7,
+    knockback: 7,
+    staminaCost: 1.5,
+    combo: [1, 1.25],
+    comboWindow: 0.35,
+    style: "thrust",
+    effects: { lunge: 6 },
+    mesh: { length: 2.4, width: 0.07, color: 0xaa8855 },
+  },
+};
+
+// What the player starts each run with
+export const STARTING_WEAPON = WEAPONS.sword;
@@ -1,30 +1,70 @@
 import * as THREE from "three";
+import {
+  GROUND_HEIGHT,
+  applyGravity,
+  moveWithCollision,
+} from "../world/Physics.js";
+import { updateDamageState } from "../world/Combat.js";
+import { ENEMY_TYPES } from "../data/enemyTypes.js";
+import { GAME_EVENTS } from "../data/gameEvents.js";
 
 export class Enemy {
-  constructor(x, y, z) {
+  constructor(x, y, z, type = ENEMY_TYPES.grunt) {
     // Enemy properties
+    this.type = type;
     this.position = new THREE.Vector3(x, 1, z); // Set y to 1 to ensure they're on the floor
+    this.previousPosition = this.position.clone(); // Position at the last step
     this.velocity = new THREE.Vector3(0, 0, 0);
     this.rotation = new THREE.Euler(0, 0, 0, "YXZ");
-    this.speed = 2;
-    this.health = 100;
-    this.damage = 10;
-    this.detectionRadius = 10;
-    this.attackRadius = 1.5;
-    this.state = "idle"; // idle, chase, attack
+    this.speed = type.stats.speed;
+    this.gravity = 9.8;
+    this.health = type.stats.health;
+    this.maxHealth = type.stats.health;
+    this.damage = type.stats.damage;
+    this.contactDamage = type.stats.contactDamage;
+    this.knockbackForce = 6; // Push applied to the player on a hit
+    this.detectionRadius = type.stats.detectionRadius;
+    this.attackRadius = type.stats.attackRadius;
+    this.loseRadius = this.detectionRadius * 1.5; // Give up the chase beyond
+    this.loseSightTime = 3; // ...or after this long without seeing the player
+    this.patrolRadius = type.behavior.patrolRadius;
+    this.windupTime = type.behavior.windupTime; // Telegraph before attacking
+    this.recoveryTime = type.behavior.recoveryTime; // Pause after an attack
+    this.isRanged = type.behavior.style === "ranged";
+    this.keepDistance = type.behavior.keepDistance ?? 0;
+    this.drops = type.drops;
+    this.xp = type.xp;
+    this.home = new THREE.Vector3(x, 1, z);
+
+    // Damage state (see world/Combat.js)
+    this.invulnerableTime = 0;
+    this.invulnerabilityDuration = 0.2;
+    this.knockback = new THREE.Vector3();
+
+    // AI state machine: idle, patrol, chase, windup, attack
+    this.state = "idle";
+    this.stateTime = 0;
+    this.idleDuration = 1;
+    this.patrolTarget = null;
+    this.timeSinceSeen = 0;
+    this.stateListeners = [];
 
     // Create enemy mesh
     this.createMesh();
 
     // Collision properties
-    this.collider = new THREE.Sphere(this.position, 0.5);
+    this.collider = new THREE.Sphere(this.position, type.mesh.radius);
   }
 
   createMesh() {
     // Create a simple enemy mesh
-    const geometry = new THREE.CapsuleGeometry(0.5, 1, 4, 8);
+    const { radius, length, color } = this.type.mesh;
+    const geometry = new THREE.CapsuleGeometry(radius, length, 4, 8);
+
+    // Rest the capsule on the floor whatever its size
+    geometry.translate(0, this.getMeshOffset(), 0);
     const material = new THREE.MeshStandardMaterial({
-      color: 0xff0000,
+      color,
       roughness: 0.7,
       metalness: 0.3,
     });
@@ -38,40 +78,47 @@ export class Enemy {
     this.addEyes();
   }
 
+  // Vertical offset that puts the bottom of the body on the floor
+  getMeshOffset() {
+    const { radius, length } = this.type.mesh;
+    return radius + length / 2 - GROUND_HEIGHT;
+  }
+
   addEyes() {
-    const eyeGeometry = new THREE.SphereGeometry(0.1, 16, 16);
+    const { radius, length, eyeColor } = this.type.mesh;
+    const eyeGeometry = new THREE.SphereGeometry(radius * 0.2, 16, 16);
     const eyeMaterial = new THREE.MeshStandardMaterial({
-      color: 0xffff00,
-      emissive: 0xffff00,
+      color: eyeColor,
+      emissive: eyeColor,
       emissiveIntensity: 0.5,
     });
 
+    // Eyes sit near the top of the body, on the front face
+    const eyeHeight = length / 2 + this.getMeshOffset();
+    const eyeDepth = radius * 0.6; // +z, the way faceTowards turns it
+
     // Left eye
     const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-    leftEye.position.set(0.2, 0.5, -0.3);
+    leftEye.position.set(radius * 0.4, eyeHeight, eyeDepth);
     this.mesh.add(leftEye);
 
     // Right eye
     const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-    rightEye.position.set(-0.2, 0.5, -0.3);
+    rightEye.position.set(-radius * 0.4, eyeHeight, eyeDepth);
     this.mesh.add(rightEye);
   }
 
-  update(deltaTime, inputHandler) {
-    // Simple AI behavior
-    this.updateAI(deltaTime);
-
-    // Apply gravity
-    this.velocity.y -= 9.8 * deltaTime;
+  // world: { player, dungeonGenerator, pathfinder, entities, random,
+  //         dealDamage }
+  update(deltaTime, world) {
+    // Run the AI state machine
+    this.updateAI(deltaTime, world);
 
-    // Check if enemy is on ground
-    if (this.position.y <= 1) {
-      this.position.y = 1; // Keep at y=1 to stay on the floor
-      this.velocity.y = 0;
-    }
+    // Recover from hits and slide along any knockback
+    updateDamageState(this, deltaTime, world.dungeonGenerator);
 
-    // Apply velocity to position
-    this.position.y += this.velocity.y * deltaTime;
+    // Apply gravity
+    applyGravity(this, this.gravity, deltaTime);
 
     // Update mesh position and rotation
     this.mesh.position.copy(this.position);
@@ -81,39 +128,225 @@ export class Enemy {
     this.collider.center.copy(this.position);
   }
 
-  updateAI(deltaTime) {
-    // In a real game, we would get the player position from the game state
-    // For now, we'll just make the enemy move in a circle
+  // Subscribe to state transitions: listener(newState, oldState, enemy)
+  addStateListener(listener) {
+    this.stateListeners.push(listener);
+  }
+
+  removeStateListener(listener) {
+    this.stateListeners = this.stateListeners.filter((l) => l !== listener);
+  }
+
+  setState(state) {
+    if (state === this.state) return;
 
-    const time = Date.now() * 0.001;
-    const radius = 5;
+    const previous = this.state;
+    this.state = state;
+    this.stateTime = 0;
 
-    // Calculate new position in a circle
-    const x = Math.cos(time * 0.5) * radius;
-    const z = Math.sin(time * 0.5) * radius;
+    for (const listener of this.stateListeners) {
+      listener(state, previous, this);
+    }
+  }
 
-    // Set target position
-    const targetPosition = new THREE.Vector3(x, 1, z); // Keep y at 1
+  updateAI(deltaTime, world) {
+    if (this.isDead) return;
 
-    // Calculate direction to target
-    const direction = new THREE.Vector3()
-      .subVectors(targetPosition, this.position)
-      .normalize();
+    this.stateTime += deltaTime;
 
-    // Calculate movement
-    const movement = direction.multiplyScalar(this.speed * deltaTime);
+    const player = world.player;
+    const distance = this.distanceTo(player.position);
+    const hasLineOfSight = world.dungeonGenerator.hasLineOfSight(
+      this.position,
+      player.position
+    );
+    const canSee = distance <= this.detectionRadius && hasLineOfSight;
 
-    // Apply movement to position (but preserve y)
-    const oldY = this.position.y;
-    this.position.add(movement);
-    this.position.y = oldY; // Preserve y position to prevent falling through floor
+    switch (this.state) {
+      case "idle":
+        if (canSee) {
+          this.setState("chase");
+        } else if (this.stateTime >= this.idleDuration) {
+          this.patrolTarget = this.pickPatrolTarget(world);
+          if (this.patrolTarget) this.setState("patrol");
+          else this.stateTime = 0;
+        }
+        break;
 
-    // Calculate rotation to face movement direction
-    if (movement.length() > 0) {
-      this.rotation.y = Math.atan2(movement.x, movement.z);
+      case "patrol":
+        if (canSee) {
+          this.setState("chase");
+        } else if (
+          this.moveTowards(
+            this.patrolTarget,
+            this.speed * 0.5,
+            deltaTime,
+            world
+          ) < 0.2
+        ) {
+          this.idleDuration = world.random.range(1, 3);
+          this.setState("idle");
+        }
+        break;
+
+      case "chase":
+        this.timeSinceSeen = canSee ? 0 : this.timeSinceSeen + deltaTime;
+
+        if (
+          this.isRanged &&
+          hasLineOfSight &&
+          distance < this.keepDistance &&
+          this.retreatFrom(player.position, deltaTime, world)
+        ) {
+          // Ranged enemies back off to keep their distance
+        } else if (this.canStrike(distance, hasLineOfSight)) {
+          this.setState("windup");
+          world.events.emit(GAME_EVENTS.ATTACK_STARTED, {
+            attacker: this,
+            target: player,
+          });
+        } else if (
+          distance > this.loseRadius ||
+          this.timeSinceSeen >= this.loseSightTime
+        ) {
+          // The player got away; head back to patrolling
+          this.timeSinceSeen = 0;
+          this.idleDuration = world.random.range(1, 3);
+          if (world.pathfinder) world.pathfinder.clearAgent(this);
+          this.setState("idle");
+        } else {
+          this.moveTowards(
+            this.getChaseTarget(world, hasLineOfSight),
+            this.speed,
+            deltaTime,
+            world
+          );
+        }
+        break;
+
+      case "windup":
+        // Stand still and face the target while winding up
+        this.faceTowards(player.position);
+        if (this.stateTime >= this.windupTime) {
+          // The strike only lands if the player is still in reach
+          if (this.canStrike(distance, hasLineOfSight, 1.2)) {
+            world.dealDamage(world.player, this.damage, this, {
+              knockback: this.knockbackForce,
+            });
+          }
+          this.setState("attack");
+        }
+        break;
+
+      case "attack":
+        // Recover from the swing before doing anything else
+        if (this.stateTime >= this.recoveryTime) {
+          this.setState("chase");
+        }
+        break;
     }
   }
 
+  // Knocked off balance by a heavy hit: a strike being wound up is lost and
+  // the enemy has to recover before doing anything else
+  stagger() {
+    if (this.state === "windup") this.setState("attack");
+  }
+
+  // Melee strikes need to be in reach; ranged ones also need a clear shot
+  canStrike(distance, hasLineOfSight, leeway = 1) {
+    return (
+      distance <= this.attackRadius * leeway &&
+      (!this.isRanged || hasLineOfSight)
+    );
+  }
+
+  // Step away from a point. Returns false when walls leave nowhere to go.
+  retreatFrom(target, deltaTime, world) {
+    const away = new THREE.Vector3(
+      this.position.x - target.x,
+      0,
+      this.position.z - target.z
+    );
+    if (away.lengthSq() === 0) return false;
+
+    away.setLength(this.speed * deltaTime);
+    const moved = moveWithCollision(this, away, world.dungeonGenerator);
+    this.faceTowards(target);
+
+    return moved.lengthSq() > away.lengthSq() * 0.25;
+  }
+
+  // Head straight for the player when nothing is in the way, otherwise
+  // follow a path around the walls
+  getChaseTarget(world, hasLineOfSight) {
+    const target = world.player.position;
+    if (hasLineOfSight || !world.pathfinder) return target;
+
+    return world.pathfinder.getNextWaypoint(this, target) || target;
+  }
+
+  // Pick a nearby open spot around the enemy's home position
+  pickPatrolTarget(world) {
+    for (let attempt = 0; attempt < 8; attempt++) {
+      const angle = world.random.range(0, Math.PI * 2);
+      const radius = world.random.range(1, this.patrolRadius);
+      const target = new THREE.Vector3(
+        this.home.x + Math.cos(angle) * radius,
+        1,
+        this.home.z + Math.sin(angle) * radius
+      );
+
+      if (
+        !world.dungeonGenerator.checkWallCollision(
+          target,
+          this.collider.radius
+        ) &&
+        world.dungeonGenerator.hasLineOfSight(this.position, target)
+      ) {
+        return target;
+      }
+    }
+    return null;
+  }
+
+  // Horizontal distance to a point
+  distanceTo(target) {
+    const dx = target.x - this.position.x;
+    const dz = target.z - this.position.z;
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  faceTowards(target) {
+    const dx = target.x - this.position.x;
+    const dz = target.z - this.position.z;
+    if (dx !== 0 || dz !== 0) {
+      this.rotation.y = Math.atan2(dx, dz);
+    }
+  }
+
+  // Step towards a point on the ground, sliding along walls, and return
+  // the remaining distance
+  moveTowards(target, speed, deltaTime, world) {
+    const direction = new THREE.Vector3(
+      target.x - this.position.x,
+      0,
+      target.z - this.position.z
+    );
+    const distance = direction.length();
+    if (distance === 0) return 0;
+
+    // Don't overshoot the target
+    const step = Math.min(speed * deltaTime, distance);
+    direction.multiplyScalar(step / distance);
+    moveWithCollision(this, direction, world.dungeonGenerator);
+
+    // Calculate rotation to face movement direction
+    this.faceTowards(target);
+
+    return this.distanceTo(target);
+  }
+
   takeDamage(amount) {
     this.health -= amount;
     console.log(`Enemy took ${amount} damage! Health: ${this.health}`);
@@ -124,6 +357,36 @@ export class Enemy {
     }
   }
 
+  // Saved form. Only living enemies are saved, and the AI restarts idle.
+  toJSON() {
+    return {
+      type: this.type.id,
+      position: this.position.toArray(),
+      home: this.home.toArray(),
+      rotationY: this.rotation.y,
+      health: this.health,
+      maxHealth: this.maxHealth,
+      speed: this.speed,
+      xp: this.xp,
+    };
+  }
+
+  // Restore a state written by toJSON()
+  loadState(state) {
+    this.position.fromArray(state.position);
+    this.previousPosition.copy(this.position);
+    this.home.fromArray(state.home);
+    this.rotation.y = state.rotationY;
+    this.health = state.health;
+    this.maxHealth = state.maxHealth;
+    this.speed = state.speed;
+    this.xp = state.xp;
+
+    this.mesh.position.copy(this.position);
+    this.mesh.rotation.copy(this.rotation);
+    this.collider.center.copy(this.position);
+  }
+
   die() {
     // In a real game, we would remove the enemy from the game
     // For now, we'll just hide it
@@ -1,26 +1,88 @@
 import * as THREE from "three";
+import { applyGravity, moveWithCollision } from "../world/Physics.js";
+import { updateDamageState } from "../world/Combat.js";
+import { DIFFICULTIES } from "../data/difficulty.js";
+import { Inventory } from "../items/Inventory.js";
+import { GAME_EVENTS } from "../data/gameEvents.js";
+import { WEAPONS, STARTING_WEAPON } from "../data/weapons.js";
+import { disposeObject } from "../utils/disposeObject.js";
+
+// Stats written to save files. Position, inventory and the equipped weapon
+// are saved separately.
+const SAVED_STATS = [
+  "health",
+  "maxHealth",
+  "hunger",
+  "maxHunger",
+  "stamina",
+  "maxStamina",
+  "starvation",
+  "speed",
+  "damageMultiplier",
+  "swingTimeMultiplier",
+  "reachBonus",
+  "characterLevel",
+  "experience",
+  "pendingLevelUps",
+];
 
 export class Player {
-  constructor(camera) {
+  constructor() {
     // Player properties
     this.position = new THREE.Vector3(0, 1, 0);
+    this.previousPosition = this.position.clone(); // Position at the last step
     this.velocity = new THREE.Vector3(0, 0, 0);
     this.rotation = new THREE.Euler(0, 0, 0, "YXZ");
     this.speed = 5;
     this.jumpForce = 10;
     this.gravity = 20;
     this.isOnGround = true;
-    this.camera = camera;
 
-    // Third-person camera settings
-    this.cameraOffset = new THREE.Vector3(0, 8, 12); // Position camera above and behind player
-    this.cameraLookOffset = new THREE.Vector3(0, 0, -5); // Look ahead of the player
-    this.cameraRotation = new THREE.Euler(-Math.PI / 4, 0, 0, "YXZ"); // Look down at an angle
-
-    this.attackCooldown = 0;
-    this.attackRate = 0.5; // seconds between attacks
-    this.attackDamage = 25; // Damage per attack
-    this.attackRange = 2.0; // Range of attack
+    // Dash: a burst of speed that dies off like knockback
+    this.dashSpeed = 18; // Speed the burst starts at (units/second)
+    this.dashCooldownTime = 0.6; // Seconds between dashes
+    this.dashCooldown = 0;
+    this.wasDashing = false; // Dash held at the last update
+
+    // Equipped weapon (see data/weapons.js) and where its swings are up to
+    this.weapon = STARTING_WEAPON;
+    this.attackCooldown = 0; // Time until the next swing can start
+    this.swingTime = Infinity; // Time since the last swing started
+    this.comboStep = 0; // Which swing of the weapon's combo was last made
+    this.comboTimer = 0; // Time left to chain another swing onto the combo
+
+    // Attack modifiers from upgrades, applied to whichever weapon is equipped
+    this.damageMultiplier = 1;
+    this.swingTimeMultiplier = 1;
+    this.reachBonus = 0;
+
+    // Health and damage state (see world/Combat.js)
+    this.health = 100;
+    this.maxHealth = 100;
+    this.isDead = false;
+    this.invulnerableTime = 0;
+    this.invulnerabilityDuration = 0.8;
+    this.knockback = new THREE.Vector3();
+
+    // Survival meters, tuned by the difficulty settings
+    this.survival = DIFFICULTIES.normal;
+    this.hunger = 100;
+    this.maxHunger = 100;
+    this.stamina = 100;
+    this.maxStamina = 100;
+    this.staminaRegenCooldown = 0; // Time until stamina starts regenerating
+    this.stillTime = 0; // Time spent standing still, for resting
+    this.isResting = false;
+    this.starvation = 0; // Starvation damage built up but not yet dealt
+
+    // Character progression, separate from the dungeon floor
+    this.characterLevel = 1;
+    this.experience = 0; // XP towards the next level
+    this.pendingLevelUps = 0; // Level-ups whose upgrade hasn't been picked
+
+    // Carried items
+    this.inventory = new Inventory(20);
+    this.pickupRadius = 1.5; // How far away E can pick things up
 
     // Create player mesh
     this.createMesh();
@@ -30,6 +92,9 @@ export class Player {
 
     // Reference to the dungeon generator for wall collision
     this.dungeonGenerator = null;
+
+    // Game event bus, set by the engine
+    this.events = null;
   }
 
   setDungeonGenerator(dungeonGenerator) {
@@ -51,21 +116,68 @@ export class Player {
     this.mesh.position.copy(this.position);
 
     // Add a weapon to the player
+    this.weaponPivot = null;
     this.addWeapon();
   }
 
+  // Build the equipped weapon's mesh, replacing the last one. The blade
+  // hangs off a pivot at the player's hand, which swings and thrusts.
   addWeapon() {
-    const swordGeometry = new THREE.BoxGeometry(0.1, 0.1, 1);
-    const swordMaterial = new THREE.MeshStandardMaterial({
-      color: 0xcccccc,
+    if (this.weaponPivot) {
+      this.mesh.remove(this.weaponPivot);
+      disposeObject(this.weaponPivot);
+    }
+
+    const { length, width, color } = this.weapon.mesh;
+    const bladeGeometry = new THREE.BoxGeometry(width, width, length);
+    const bladeMaterial = new THREE.MeshStandardMaterial({
+      color,
       roughness: 0.5,
       metalness: 0.8,
     });
 
-    this.weapon = new THREE.Mesh(swordGeometry, swordMaterial);
-    this.weapon.position.set(0.5, 0, 0.5);
-    this.weapon.rotation.set(0, 0, -Math.PI / 4);
-    this.mesh.add(this.weapon);
+    const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
+    blade.position.set(0, 0, length / 2);
+    blade.rotation.set(0, 0, -Math.PI / 4);
+
+    this.weaponPivot = new THREE.Group();
+    this.weaponPivot.position.set(0.5, 0, 0);
+    this.weaponPivot.add(blade);
+    this.mesh.add(this.weaponPivot);
+  }
+
+  // Wield a weapon. Returns the one that was put away.
+  equipWeapon(weapon) {
+    const previous = this.weapon;
+    this.weapon = weapon;
+    this.comboStep = 0;
+    this.comboTimer = 0;
+    this.swingTime = Infinity;
+    this.addWeapon();
+
+    this.emit(GAME_EVENTS.WEAPON_EQUIPPED, { weapon, previous });
+    return previous;
+  }
+
+  // Damage of the current swing, with its place in the combo
+  getAttackDamage() {
+    return (
+      this.weapon.damage *
+      this.weapon.combo[this.comboStep] *
+      this.damageMultiplier
+    );
+  }
+
+  getAttackReach() {
+    return this.weapon.reach + this.reachBonus;
+  }
+
+  getSwingDuration() {
+    return this.weapon.swingTime * this.swingTimeMultiplier;
+  }
+
+  getForward() {
+    return new THREE.Vector3(0, 0, 1).applyEuler(this.rotation);
   }
 
   update(deltaTime, inputHandler) {
@@ -78,11 +190,17 @@ export class Player {
     // Handle jumping
     this.handleJumping(deltaTime, inputHandler);
 
+    // Handle dashing
+    this.handleDashing(deltaTime, inputHandler);
+
     // Handle attacking
     this.handleAttacking(deltaTime, inputHandler);
 
-    // Update camera position to follow player in third-person
-    this.updateCamera();
+    // Drain hunger and regenerate stamina
+    this.updateSurvival(deltaTime, inputHandler);
+
+    // Recover from hits and slide along any knockback
+    updateDamageState(this, deltaTime, this.dungeonGenerator);
 
     // Update collider position
     this.collider.center.copy(this.position);
@@ -118,10 +236,14 @@ export class Player {
     // Get movement direction from input
     const direction = inputHandler.getMovementDirection();
 
+    // Sprinting burns stamina while moving
+    const isSprinting =
+      inputHandler.isSprinting() &&
+      direction.length() > 0 &&
+      this.spendStamina(this.survival.sprintCost * deltaTime);
+
     // Apply movement in the direction the player is facing
-    const moveSpeed = inputHandler.isSprinting()
-      ? this.speed * 1.5
-      : this.speed;
+    const moveSpeed = isSprinting ? this.speed * 1.5 : this.speed;
 
     // Create a movement vector
     const movement = new THREE.Vector3();
@@ -138,7 +260,7 @@ export class Player {
 
     // For third-person, we want to move relative to the camera's orientation
     // Get camera's horizontal rotation (y-axis)
-    const cameraYRotation = this.camera.rotation.y;
+    const cameraYRotation = inputHandler.getCameraYaw();
 
     // Apply camera rotation to movement vector
     movement.applyAxisAngle(new THREE.Vector3(0, 1, 0), cameraYRotation);
@@ -146,49 +268,8 @@ export class Player {
     // Scale by speed and delta time
     movement.multiplyScalar(moveSpeed * deltaTime);
 
-    // Store current position before movement
-    const oldPosition = this.position.clone();
-
-    // Apply movement to position
-    this.position.add(movement);
-
-    // Check for wall collision if dungeon generator is available
-    if (
-      this.dungeonGenerator &&
-      this.dungeonGenerator.checkWallCollision(
-        this.position,
-        this.collider.radius
-      )
-    ) {
-      // If there's a collision, revert to the old position
-      this.position.copy(oldPosition);
-
-      // Try to slide along walls
-      const slideX = new THREE.Vector3(movement.x, 0, 0);
-      const slideZ = new THREE.Vector3(0, 0, movement.z);
-
-      // Try moving only in X direction
-      this.position.add(slideX);
-      if (
-        this.dungeonGenerator.checkWallCollision(
-          this.position,
-          this.collider.radius
-        )
-      ) {
-        this.position.copy(oldPosition);
-
-        // Try moving only in Z direction
-        this.position.add(slideZ);
-        if (
-          this.dungeonGenerator.checkWallCollision(
-            this.position,
-            this.collider.radius
-          )
-        ) {
-          this.position.copy(oldPosition);
-        }
-      }
-    }
+    // Apply movement, sliding along any walls in the way
+    moveWithCollision(this, movement, this.dungeonGenerator);
 
     // Update mesh position
     this.mesh.position.copy(this.position);
@@ -202,99 +283,225 @@ export class Player {
   }
 
   handleJumping(deltaTime, inputHandler) {
-    // Apply gravity
-    this.velocity.y -= this.gravity * deltaTime;
-
-    // Check if player is on ground
-    if (this.position.y <= 1) {
-      this.position.y = 1;
-      this.velocity.y = 0;
-      this.isOnGround = true;
-    } else {
-      this.isOnGround = false;
-    }
-
     // Jump if on ground and jump key pressed
-    if (this.isOnGround && inputHandler.isJumping()) {
+    if (
+      this.isOnGround &&
+      inputHandler.isJumping() &&
+      this.spendStamina(this.survival.jumpCost)
+    ) {
       this.velocity.y = this.jumpForce;
-      this.isOnGround = false;
     }
 
-    // Apply velocity to position
-    this.position.y += this.velocity.y * deltaTime;
+    // Apply gravity and check if player is on ground
+    this.isOnGround = applyGravity(this, this.gravity, deltaTime);
 
     // Update mesh position
     this.mesh.position.copy(this.position);
   }
 
+  // Burst forward, the way the player faces, once per press of dash
+  handleDashing(deltaTime, inputHandler) {
+    if (this.dashCooldown > 0) {
+      this.dashCooldown -= deltaTime;
+    }
+
+    const isDashing = inputHandler.isDashing();
+    if (
+      isDashing &&
+      !this.wasDashing &&
+      this.dashCooldown <= 0 &&
+      this.spendStamina(this.survival.dashCost)
+    ) {
+      this.knockback.add(this.getForward().multiplyScalar(this.dashSpeed));
+      this.dashCooldown = this.dashCooldownTime;
+    }
+    this.wasDashing = isDashing;
+  }
+
   handleAttacking(deltaTime, inputHandler) {
-    // Update attack cooldown
+    const weapon = this.weapon;
+
+    // Update attack cooldown. The window to chain a combo opens once the
+    // swing is over.
     if (this.attackCooldown > 0) {
       this.attackCooldown -= deltaTime;
+    } else if (this.comboTimer > 0) {
+      this.comboTimer -= deltaTime;
     }
 
     // Check if player is attacking
-    if (inputHandler.isAttacking() && this.attackCooldown <= 0) {
+    if (
+      inputHandler.isAttacking() &&
+      this.attackCooldown <= 0 &&
+      this.spendStamina(this.survival.attackCost * weapon.staminaCost)
+    ) {
+      // Carry on the combo if the last swing was recent enough
+      this.comboStep =
+        this.comboTimer > 0 ? (this.comboStep + 1) % weapon.combo.length : 0;
+      this.comboTimer = weapon.comboWindow;
+
       // Perform attack
       this.attack();
+      this.emit(GAME_EVENTS.ATTACK_STARTED, { attacker: this, target: null });
 
       // Reset cooldown
-      this.attackCooldown = this.attackRate;
+      this.attackCooldown = this.getSwingDuration();
     }
+
+    this.swingTime += deltaTime;
+    this.updateWeaponPose();
   }
 
+  // Start a swing. Hits are resolved by the engine when it hears
+  // ATTACK_STARTED.
   attack() {
-    console.log("Player attacking!");
-
-    // Simple attack animation
-    const attackAnimation = new THREE.AnimationClip("attack", 0.5, [
-      new THREE.VectorKeyframeTrack(
-        ".rotation[z]",
-        [0, 0.25, 0.5],
-        [-Math.PI / 4, Math.PI / 2, -Math.PI / 4]
-      ),
-    ]);
-
-    // Play attack animation
-    const mixer = new THREE.AnimationMixer(this.weapon);
-    const action = mixer.clipAction(attackAnimation);
-    action.setLoop(THREE.LoopOnce);
-    action.play();
-
-    // Update mixer in game loop
-    const updateMixer = (deltaTime) => {
-      mixer.update(deltaTime);
-
-      if (action.time >= action.getClip().duration) {
-        // Animation complete, remove update callback
-        this.onUpdate = null;
-      }
-    };
+    this.swingTime = 0;
 
-    // Set update callback
-    this.onUpdate = updateMixer;
+    // Some weapons carry the player into the strike
+    const { lunge } = this.weapon.effects;
+    if (lunge) {
+      this.knockback.add(this.getForward().multiplyScalar(lunge));
+    }
+  }
+
+  // Pose the weapon for where the swing is up to: slashes sweep across
+  // the weapon's arc and back, thrusts stab out and pull back
+  updateWeaponPose() {
+    const progress = Math.min(this.swingTime / this.getSwingDuration(), 1);
+    const halfArc = THREE.MathUtils.degToRad(this.weapon.arc) / 2;
+
+    if (this.weapon.style === "thrust") {
+      this.weaponPivot.position.z = Math.sin(progress * Math.PI) * 0.8;
+    } else {
+      this.weaponPivot.rotation.y = Math.sin(progress * Math.PI * 2) * halfArc;
+    }
+  }
+
+  // Spend stamina if there's any left. Returns whether the action can go
+  // ahead; the last of the stamina still pays for one more action.
+  spendStamina(amount) {
+    if (this.stamina <= 0) return false;
+
+    this.stamina = Math.max(0, this.stamina - amount);
+    this.staminaRegenCooldown = this.survival.staminaRegenDelay;
+    return true;
+  }
+
+  updateSurvival(deltaTime, inputHandler) {
+    const survival = this.survival;
+
+    // Hunger drains over time; an empty stomach hurts
+    this.hunger = Math.max(0, this.hunger - survival.hungerDrain * deltaTime);
+    if (this.hunger === 0) {
+      this.starvation += survival.starvationDamage * deltaTime;
+    }
+
+    // Standing still long enough counts as resting
+    if (inputHandler.getMovementDirection().length() === 0) {
+      this.stillTime += deltaTime;
+    } else {
+      this.stillTime = 0;
+    }
+    this.isResting = this.stillTime >= survival.restDelay;
+
+    // Stamina comes back after a short pause, faster while resting
+    if (this.staminaRegenCooldown > 0) {
+      this.staminaRegenCooldown -= deltaTime;
+    } else {
+      const regen =
+        survival.staminaRegen *
+        (this.isResting ? survival.restMultiplier : 1) *
+        deltaTime;
+      this.stamina = Math.min(this.maxStamina, this.stamina + regen);
+    }
+  }
+
+  // Whole points of starvation damage that are due, removing them from the
+  // running total
+  takeStarvationDamage() {
+    const damage = Math.floor(this.starvation);
+    this.starvation -= damage;
+    return damage;
+  }
+
+  eat(nutrition) {
+    this.hunger = Math.min(this.maxHunger, this.hunger + nutrition);
+  }
 
-    // Check for enemies in attack range
-    // This will be called from the GameEngine class
+  heal(amount) {
+    this.health = Math.min(this.maxHealth, this.health + amount);
   }
 
-  updateCamera() {
-    // Position camera relative to player for third-person view
-    // Calculate camera position based on player position and offset
-    const cameraPosition = new THREE.Vector3()
-      .copy(this.position)
-      .add(this.cameraOffset);
+  restoreStamina(amount) {
+    this.stamina = Math.min(this.maxStamina, this.stamina + amount);
+  }
+
+  // XP needed to go from the current level to the next
+  getExperienceToNextLevel() {
+    return Math.round(100 * Math.pow(this.characterLevel, 1.5));
+  }
 
-    // Set camera position
-    this.camera.position.copy(cameraPosition);
+  // Add XP, levelling up as many times as it covers. Returns the number of
+  // levels gained.
+  gainExperience(amount) {
+    this.experience += amount;
+    this.emit(GAME_EVENTS.XP_GAINED, { amount, experience: this.experience });
+
+    let levelsGained = 0;
+    while (this.experience >= this.getExperienceToNextLevel()) {
+      this.experience -= this.getExperienceToNextLevel();
+      this.characterLevel++;
+      levelsGained++;
+      this.emit(GAME_EVENTS.PLAYER_LEVELED_UP, { level: this.characterLevel });
+    }
+
+    this.pendingLevelUps += levelsGained;
+    return levelsGained;
+  }
 
-    // Calculate target position (where the camera should look)
-    const targetPosition = new THREE.Vector3()
-      .copy(this.position)
-      .add(this.cameraLookOffset);
+  emit(type, payload) {
+    if (this.events) this.events.emit(type, payload);
+  }
 
-    // Make camera look at the player
-    this.camera.lookAt(targetPosition);
+  toJSON() {
+    const state = {
+      position: this.position.toArray(),
+      rotationY: this.rotation.y,
+      inventory: this.inventory.toJSON(),
+      weapon: this.weapon.id,
+    };
+    for (const stat of SAVED_STATS) {
+      state[stat] = this[stat];
+    }
+    return state;
+  }
+
+  // Restore a state written by toJSON()
+  loadState(state) {
+    for (const stat of SAVED_STATS) {
+      if (state[stat] !== undefined) this[stat] = state[stat];
+    }
+
+    this.position.fromArray(state.position);
+    this.previousPosition.copy(this.position);
+    this.velocity.set(0, 0, 0);
+    this.knockback.set(0, 0, 0);
+    this.rotation.y = state.rotationY;
+    this.mesh.position.copy(this.position);
+    this.mesh.rotation.y = this.rotation.y;
+    this.collider.center.copy(this.position);
+
+    this.weapon = WEAPONS[state.weapon] ?? STARTING_WEAPON;
+    this.addWeapon();
+    this.inventory.load(state.inventory);
+  }
+
+  takeDamage(amount) {
+    this.health = Math.max(0, this.health - amount);
+
+    if (this.health <= 0) {
+      this.isDead = true;
+    }
   }
 
   checkCollision(entity) {
@@ -312,24 +519,35 @@ export class Player {
       // Calculate distance to entity
       const distance = this.position.distanceTo(entity.position);
 
-      // Check if entity is within attack range
-      if (distance <= this.attackRange) {
+      // Check if entity is within the weapon's reach
+      if (distance <= this.getAttackReach()) {
         // Calculate direction to entity
         const direction = new THREE.Vector3()
           .subVectors(entity.position, this.position)
           .normalize();
 
         // Calculate dot product with player's forward direction
-        const forward = new THREE.Vector3(0, 0, -1).applyEuler(this.rotation);
-        const dot = direction.dot(forward);
+        const dot = direction.dot(this.getForward());
 
-        // Check if entity is in front of player (within a 120-degree cone)
-        if (dot > 0.5) {
-          // cos(60 degrees) = 0.5
+        // Check if entity is within the weapon's arc, centred in front
+        const halfArc = THREE.MathUtils.degToRad(this.weapon.arc) / 2;
+        if (dot > Math.cos(halfArc)) {
           return true;
         }
       }
     }
     return false;
   }
+
+  // Whether the player is behind an entity (within 60 degrees of straight
+  // behind it), for backstabs
+  isBehind(entity) {
+    const toPlayer = new THREE.Vector3(
+      this.position.x - entity.position.x,
+      0,
+      this.position.z - entity.position.z
+    ).normalize();
+    const facing = new THREE.Vector3(0, 0, 1).applyEuler(entity.rotation);
+    return toPlayer.dot(facing) < -0.5;
+  }
 }
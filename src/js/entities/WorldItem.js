@@ -0,0 +1,70 @@
+import * as THREE from "three";
+
+// An item lying in the dungeon, waiting to be picked up
+export class WorldItem {
+  constructor(x, y, z, type, quantity = 1) {
+    this.type = type;
+    this.quantity = quantity;
+    this.position = new THREE.Vector3(x, y, z);
+    this.isCollected = false;
+    this.time = 0;
+
+    // Create item mesh
+    this.createMesh();
+
+    // Collision properties
+    this.collider = new THREE.Sphere(this.position, 0.4);
+  }
+
+  createMesh() {
+    const { shape, color, size } = this.type.mesh;
+
+    let geometry;
+    if (shape === "box") {
+      geometry = new THREE.BoxGeometry(size, size, size * 1.5);
+    } else if (shape === "cylinder") {
+      geometry = new THREE.CylinderGeometry(
+        size * 0.6,
+        size * 0.6,
+        size * 2,
+        8
+      );
+    } else {
+      geometry = new THREE.SphereGeometry(size, 12, 12);
+    }
+
+    const material = new THREE.MeshStandardMaterial({
+      color,
+      emissive: color,
+      emissiveIntensity: 0.2,
+      roughness: 0.6,
+      metalness: 0.2,
+    });
+
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.castShadow = true;
+    this.mesh.position.copy(this.position);
+  }
+
+  update(deltaTime) {
+    if (this.isCollected) return;
+
+    // Bob and spin so it catches the eye
+    this.time += deltaTime;
+    this.mesh.position.y = this.position.y + Math.sin(this.time * 3) * 0.1;
+    this.mesh.rotation.y += deltaTime;
+  }
+
+  toJSON() {
+    return {
+      type: this.type.id,
+      quantity: this.quantity,
+      position: this.position.toArray(),
+    };
+  }
+
+  collect() {
+    this.isCollected = true;
+    this.mesh.visible = false;
+  }
+}
@@ -0,0 +1,113 @@
+import { ITEM_TYPES } from "../data/itemTypes.js";
+
+// Slot-based inventory. Each slot is null or a stack { type, quantity },
+// and stacks of the same type fill up to the type's stackSize.
+export class Inventory {
+  constructor(size = 20) {
+    this.slots = new Array(size).fill(null);
+    this.changeListeners = [];
+  }
+
+  // Subscribe to changes: listener(inventory)
+  addChangeListener(listener) {
+    this.changeListeners.push(listener);
+  }
+
+  removeChangeListener(listener) {
+    this.changeListeners = this.changeListeners.filter((l) => l !== listener);
+  }
+
+  notifyChange() {
+    for (const listener of this.changeListeners) {
+      listener(this);
+    }
+  }
+
+  // Add items, topping up existing stacks before using empty slots.
+  // Returns how many didn't fit.
+  add(type, quantity = 1) {
+    let remaining = quantity;
+
+    // Top up existing stacks first
+    for (const slot of this.slots) {
+      if (remaining === 0) break;
+      if (slot && slot.type === type && slot.quantity < type.stackSize) {
+        const added = Math.min(remaining, type.stackSize - slot.quantity);
+        slot.quantity += added;
+        remaining -= added;
+      }
+    }
+
+    // Then start new stacks in empty slots
+    for (let i = 0; i < this.slots.length && remaining > 0; i++) {
+      if (!this.slots[i]) {
+        const added = Math.min(remaining, type.stackSize);
+        this.slots[i] = { type, quantity: added };
+        remaining -= added;
+      }
+    }
+
+    if (remaining !== quantity) this.notifyChange();
+    return remaining;
+  }
+
+  // Remove up to `quantity` from a slot. Returns the removed stack, or null.
+  removeFromSlot(index, quantity = Infinity) {
+    const slot = this.slots[index];
+    if (!slot) return null;
+
+    const removed = Math.min(quantity, slot.quantity);
+    slot.quantity -= removed;
+    if (slot.quantity === 0) {
+      this.slots[index] = null;
+    }
+
+    this.notifyChange();
+    return { type: slot.type, quantity: removed };
+  }
+
+  // Use one item from a slot on the player. Returns whether it was used.
+  // Weapons are equipped instead, and the weapon put away takes the slot.
+  use(index, player) {
+    const slot = this.slots[index];
+    if (slot && slot.type.weapon) {
+      const previous = player.equipWeapon(slot.type.weapon);
+      this.slots[index] = { type: ITEM_TYPES[previous.id], quantity: 1 };
+      this.notifyChange();
+      return true;
+    }
+    if (!slot || !slot.type.effects) return false;
+
+    const { health = 0, hunger = 0, stamina = 0 } = slot.type.effects;
+    if (health) player.heal(health);
+    if (hunger) player.eat(hunger);
+    if (stamina) player.restoreStamina(stamina);
+
+    this.removeFromSlot(index, 1);
+    return true;
+  }
+
+  count(type) {
+    return this.slots.reduce(
+      (total, slot) =>
+        slot && slot.type === type ? total + slot.quantity : total,
+      0
+    );
+  }
+
+  // Saved form: one { type: id, quantity } or null per slot
+  toJSON() {
+    return this.slots.map((slot) =>
+      slot ? { type: slot.type.id, quantity: slot.quantity } : null
+    );
+  }
+
+  load(slots) {
+    this.slots = this.slots.map((_, i) => {
+      const slot = slots[i];
+      const type = slot && ITEM_TYPES[slot.type];
+      return type ? { type, quantity: slot.quantity } : null;
+    });
+    this.notifyChange();
+  }
+}
@@ -0,0 +1,247 @@
+import * as THREE from "three";
+import { GAME_EVENTS } from "../data/gameEvents.js";
+import { CAMERA_PRESETS } from "../data/cameraPresets.js";
+
+const PRESET_ORDER = Object.keys(CAMERA_PRESETS);
+
+// Third-person camera. Follows the player with damping, orbits with the
+// captured mouse or the gamepad's right stick, cuts away walls that would
+// hide the player and shakes when hits land. The camera action (C by
+// default) cycles through the presets in data/cameraPresets.js.
+//
+// Runs once per rendered frame, after interpolation. The simulation only
+// sees the camera's heading, through the input source (getCameraYaw), so
+// replays aren't affected by how the camera was moved.
+export class CameraController {
+  constructor(game) {
+    this.game = game;
+    this.camera = game.camera;
+    this.camera.rotation.order = "YXZ"; // So rotation.y is the heading
+
+    this.mouseSensitivity = 0.003; // Radians per pixel
+    this.stickSpeed = 2.5; // Radians per second at full tilt
+
+    // Where the camera is heading for, and where it has got to
+    this.preset = CAMERA_PRESETS.follow;
+    this.targetYaw = 0;
+    this.targetPitch = this.preset.pitch;
+    this.yaw = this.targetYaw;
+    this.pitch = this.targetPitch;
+    this.distance = this.preset.distance;
+    this.lookAhead = this.preset.lookAhead;
+    this.height = this.preset.height;
+    this.focus = new THREE.Vector3(); // Smoothed point the camera looks at
+    this.hasFocus = false; // Snap rather than glide on the next frame
+
+    // Screen shake: trauma (0-1) decays over time and the shake grows with
+    // its square, so small hits barely register and big ones jolt
+    this.trauma = 0;
+    this.maxShake = 0.4; // World units at full trauma
+    this.shakeDecay = 1.5; // Trauma lost per second
+    this.shakeTime = 0;
+    this.shake = new THREE.Vector3();
+
+    // Walls between the camera and the player are cut down to a stub
+    this.cutHeight = 0.2; // Fraction of the wall height left standing
+    this.cutSpeed = 5; // Fraction of the wall height cut or restored per second
+    this.wallMesh = null;
+    this.wallIndex = new Map(); // "x,y" tile -> wall instance index
+    this.wallCuts = new Map(); // Instance index -> current height fraction
+    this.matrix = new THREE.Matrix4();
+
+    game.playerInput.addPressListener((binding) => {
+      if (
+        game.state === "playing" &&
+        game.actionMap.isBound("camera", binding)
+      ) {
+        this.cyclePreset();
+      }
+    });
+
+    game.events.on(GAME_EVENTS.DAMAGE_DEALT, ({ target, source, amount }) => {
+      if (target === game.player) {
+        this.addShake(Math.min(amount / 40, 0.6));
+      } else if (source === game.player) {
+        this.addShake(0.15);
+      }
+    });
+
+    // Don't glide across the map to a new floor
+    game.events.on(GAME_EVENTS.LEVEL_CHANGED, () => {
+      this.hasFocus = false;
+    });
+  }
+
+  setPreset(id) {
+    this.preset = CAMERA_PRESETS[id] ?? CAMERA_PRESETS.follow;
+    this.targetPitch = this.preset.pitch;
+  }
+
+  cyclePreset() {
+    const index = PRESET_ORDER.indexOf(this.preset.id);
+    this.setPreset(PRESET_ORDER[(index + 1) % PRESET_ORDER.length]);
+  }
+
+  addShake(amount) {
+    this.trauma = Math.min(this.trauma + amount, 1);
+  }
+
+  update(frameTime) {
+    const preset = this.preset;
+
+    // Orbit. Mouse movement is taken even in menus so it doesn't pile up.
+    const mouse = this.game.playerInput.getMouseMovement();
+    if (this.game.state === "playing") {
+      const stick = this.game.playerInput.getCameraLook();
+      this.targetYaw -=
+        mouse.x * this.mouseSensitivity + stick.x * this.stickSpeed * frameTime;
+      this.targetPitch +=
+        mouse.y * this.mouseSensitivity + stick.y * this.stickSpeed * frameTime;
+    }
+    this.targetPitch = THREE.MathUtils.clamp(
+      this.targetPitch,
+      preset.minPitch,
+      preset.maxPitch
+    );
+
+    // Ease everything towards where it's heading, framerate-independently
+    const blend = this.hasFocus ? 1 - Math.exp(-preset.damping * frameTime) : 1;
+    this.yaw += (this.targetYaw - this.yaw) * blend;
+    this.pitch += (this.targetPitch - this.pitch) * blend;
+    this.distance += (preset.distance - this.distance) * blend;
+    this.lookAhead += (preset.lookAhead - this.lookAhead) * blend;
+    this.height += (preset.height - this.height) * blend;
+
+    // Look at a point ahead of the player, in the direction the camera faces
+    const goal = this.game.player.mesh.position.clone();
+    goal.x -= Math.sin(this.yaw) * this.lookAhead;
+    goal.z -= Math.cos(this.yaw) * this.lookAhead;
+    goal.y += this.height;
+    this.focus.lerp(goal, blend);
+    this.hasFocus = true;
+
+    // Place the camera behind and above the focus
+    const horizontal = Math.cos(this.pitch) * this.distance;
+    this.camera.position.set(
+      this.focus.x + Math.sin(this.yaw) * horizontal,
+      this.focus.y + Math.sin(this.pitch) * this.distance,
+      this.focus.z + Math.cos(this.yaw) * horizontal
+    );
+    this.camera.lookAt(this.focus);
+
+    this.updateOcclusion(frameTime);
+    this.updateShake(frameTime);
+  }
+
+  // Shake moves the camera without turning it, so the heading movement is
+  // relative to stays steady
+  updateShake(frameTime) {
+    this.trauma = Math.max(this.trauma - this.shakeDecay * frameTime, 0);
+    if (this.trauma === 0) return;
+
+    this.shakeTime += frameTime;
+    const t = this.shakeTime;
+    const amount = this.trauma * this.trauma * this.maxShake;
+    this.shake.set(
+      Math.sin(t * 47) * amount,
+      Math.sin(t * 59 + 1) * amount,
+      Math.sin(t * 53 + 2) * amount
+    );
+    this.camera.position.add(this.shake);
+  }
+
+  // Cut down the walls between the camera and the player, and let walls
+  // that are no longer in the way grow back
+  updateOcclusion(frameTime) {
+    const generator = this.game.dungeonGenerator;
+    if (generator.wallMesh !== this.wallMesh) {
+      this.setWallMesh(generator.wallMesh);
+    }
+    if (!this.wallMesh) return;
+
+    const blocking = this.findBlockingWalls(generator);
+    for (const index of blocking) {
+      if (!this.wallCuts.has(index)) this.wallCuts.set(index, 1);
+    }
+
+    const step = this.cutSpeed * frameTime;
+    let changed = false;
+    for (const [index, fraction] of this.wallCuts) {
+      const target = blocking.has(index) ? this.cutHeight : 1;
+      if (fraction === target) continue;
+
+      const next =
+        fraction < target
+          ? Math.min(fraction + step, target)
+          : Math.max(fraction - step, target);
+      this.setWallHeight(generator, index, next);
+      changed = true;
+
+      if (next === 1) {
+        this.wallCuts.delete(index);
+      } else {
+        this.wallCuts.set(index, next);
+      }
+    }
+
+    if (changed) this.wallMesh.instanceMatrix.needsUpdate = true;
+  }
+
+  setWallMesh(mesh) {
+    this.wallMesh = mesh;
+    this.wallCuts.clear();
+    this.wallIndex.clear();
+    if (!mesh) return;
+
+    mesh.userData.tiles.forEach(({ x, y }, index) => {
+      this.wallIndex.set(`${x},${y}`, index);
+    });
+  }
+
+  setWallHeight(generator, index, fraction) {
+    const { x, y } = this.wallMesh.userData.tiles[index];
+    const height = generator.wallHeight * fraction;
+
+    this.matrix
+      .makeScale(1, fraction, 1)
+      .setPosition(x * generator.tileSize, height / 2, y * generator.tileSize);
+    this.wallMesh.setMatrixAt(index, this.matrix);
+  }
+
+  // Wall instances that the lines from the player to the camera pass
+  // through below the tops of the walls. Three lines, side by side, cover
+  // the player's width.
+  findBlockingWalls(generator) {
+    const blocking = new Set();
+    const tileSize = generator.tileSize;
+    const from = this.game.player.mesh.position;
+    const to = this.camera.position;
+
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const length = Math.hypot(dx, dz);
+    if (length === 0) return blocking;
+
+    // Sideways unit vector, for the lines either side of the player
+    const sideX = -dz / length;
+    const sideZ = dx / length;
+
+    const steps = Math.ceil(length / (tileSize / 4));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const y = from.y + (to.y - from.y) * t;
+      if (y > generator.wallHeight) break; // Above the walls from here on
+
+      for (const side of [-0.5, 0, 0.5]) {
+        const x = from.x + dx * t + sideX * side;
+        const z = from.z + dz * t + sideZ * side;
+        const index = this.wallIndex.get(
+          `${Math.round(x / tileSize)},${Math.round(z / tileSize)}`
+        );
+        if (index !== undefined) blocking.add(index);
+      }
+    }
+
+    return blocking;
+  }
+}
@@ -0,0 +1,174 @@
+import { ACTIONS, MAX_BINDINGS } from "../data/controls.js";
+import { describeBinding } from "../utils/ActionMap.js";
+
+// Controls settings, opened from the title and pause screens. Click a
+// binding (or +) and press a key, mouse button or gamepad button to rebind
+// it; x removes a binding. A binding already used by another action is
+// only taken over after confirming the swap.
+export class ControlsScreen {
+  constructor(game) {
+    this.game = game;
+    this.actionMap = game.actionMap;
+    this.input = game.inputHandler;
+    this.isOpen = false;
+    this.pendingSwap = null; // { action, slot, binding } awaiting a choice
+
+    this.createPanel();
+  }
+
+  createPanel() {
+    this.panel = document.createElement("div");
+    this.panel.id = "controls-screen";
+    this.panel.className = "menu-screen";
+
+    const title = document.createElement("h1");
+    title.textContent = "CONTROLS";
+    this.panel.appendChild(title);
+
+    this.table = document.createElement("table");
+    this.table.className = "controls-table";
+    this.panel.appendChild(this.table);
+
+    this.message = document.createElement("p");
+    this.message.className = "controls-message";
+    this.panel.appendChild(this.message);
+
+    this.swapActions = document.createElement("div");
+    this.swapButton = this.createButton("Swap", () => this.confirmSwap());
+    this.cancelButton = this.createButton("Cancel", () => this.cancelSwap());
+    this.swapActions.append(this.swapButton, this.cancelButton);
+    this.panel.appendChild(this.swapActions);
+
+    this.panel.appendChild(
+      this.createButton("Reset to defaults", () => {
+        this.actionMap.reset();
+        this.setMessage("Controls reset to defaults.");
+        this.render();
+      })
+    );
+    this.panel.appendChild(this.createButton("Back", () => this.close()));
+
+    document.body.appendChild(this.panel);
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  open() {
+    this.isOpen = true;
+    this.panel.style.display = "flex";
+    this.setMessage("");
+    this.render();
+  }
+
+  close() {
+    this.input.cancelCapture();
+    this.pendingSwap = null;
+    this.isOpen = false;
+    this.panel.style.display = "none";
+  }
+
+  setMessage(text) {
+    this.message.textContent = text;
+  }
+
+  render() {
+    this.table.innerHTML = "";
+    this.swapActions.style.display = this.pendingSwap ? "block" : "none";
+
+    for (const { id, name } of ACTIONS) {
+      const row = document.createElement("tr");
+
+      const label = document.createElement("td");
+      label.textContent = name;
+      row.appendChild(label);
+
+      const cell = document.createElement("td");
+      const bindings = this.actionMap.getBindings(id);
+
+      bindings.forEach((binding, slot) => {
+        const rebind = this.createButton(describeBinding(binding), () =>
+          this.startCapture(id, slot)
+        );
+        rebind.className = "binding";
+
+        const remove = this.createButton("x", () => {
+          this.actionMap.unbind(id, slot);
+          this.render();
+        });
+        remove.className = "binding-remove";
+        remove.title = "Remove binding";
+
+        cell.append(rebind, remove);
+      });
+
+      if (bindings.length < MAX_BINDINGS) {
+        const add = this.createButton("+", () =>
+          this.startCapture(id, bindings.length)
+        );
+        add.className = "binding";
+        add.title = "Add binding";
+        cell.appendChild(add);
+      }
+
+      row.appendChild(cell);
+      this.table.appendChild(row);
+    }
+  }
+
+  startCapture(action, slot) {
+    this.pendingSwap = null;
+    this.render();
+
+    const { name } = ACTIONS.find(({ id }) => id === action);
+    this.setMessage(
+      `Press a key, mouse button or gamepad button for ${name} (Esc to cancel)`
+    );
+    this.input.captureNextPress((binding) =>
+      this.assign(action, slot, binding)
+    );
+  }
+
+  assign(action, slot, binding) {
+    if (binding === "key:Escape") {
+      this.setMessage("");
+      return;
+    }
+
+    // The on-screen touch buttons are fixed to their actions
+    if (binding.startsWith("touch:")) {
+      this.setMessage("Touch controls can't be rebound.");
+      return;
+    }
+
+    const result = this.actionMap.rebind(action, slot, binding);
+    if (result) {
+      const other = ACTIONS.find(({ id }) => id === result.conflict);
+      this.pendingSwap = { action, slot, binding };
+      this.setMessage(
+        `${describeBinding(binding)} is already used by ${other.name}.`
+      );
+    } else {
+      this.setMessage("");
+    }
+    this.render();
+  }
+
+  confirmSwap() {
+    const { action, slot, binding } = this.pendingSwap;
+    this.actionMap.rebind(action, slot, binding, { swap: true });
+    this.pendingSwap = null;
+    this.setMessage("");
+    this.render();
+  }
+
+  cancelSwap() {
+    this.pendingSwap = null;
+    this.setMessage("");
+    this.render();
+  }
+}
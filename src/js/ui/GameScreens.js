@@ -0,0 +1,143 @@
+import { GAME_EVENTS } from "../data/gameEvents.js";
+import { parseReplay } from "../utils/replayFormat.js";
+
+// Full-screen menus for the game states in index.html: loading, title,
+// pause and game over. Shows the one matching GameEngine.state, wires up
+// its buttons and toggles pause with the pause action (Esc by default).
+// Replays are exported and imported as files from here too.
+export class GameScreens {
+  constructor(game) {
+    this.game = game;
+
+    this.screens = {
+      loading: document.getElementById("loading-screen"),
+      title: document.getElementById("title-screen"),
+      paused: document.getElementById("pause-screen"),
+      gameOver: document.getElementById("game-over-screen"),
+    };
+    this.continueButton = document.getElementById("continue-button");
+    this.summary = document.getElementById("run-summary");
+    this.exportButtons = document.querySelectorAll(".export-replay-button");
+    this.replayFile = document.getElementById("replay-file");
+    this.replayMessage = document.getElementById("replay-message");
+
+    this.onClick("new-game-button", () => game.newGame());
+    this.onClick("continue-button", () => game.continueGame());
+    this.onClick("resume-button", () => game.togglePause());
+    this.onClick("quit-button", () => game.quitToTitle());
+    this.onClick("restart-button", () => game.newGame());
+    this.onClick("title-button", () => game.setState("title"));
+    for (const button of document.querySelectorAll(".controls-button")) {
+      button.addEventListener("click", () => game.controlsScreen.open());
+    }
+    for (const button of this.exportButtons) {
+      button.addEventListener("click", () => this.exportReplay());
+    }
+    this.onClick("watch-replay-button", () => this.replayFile.click());
+    this.replayFile.addEventListener("change", () =>
+      this.importReplay(this.replayFile.files[0])
+    );
+
+    game.inputHandler.addPressListener((binding) => {
+      if (!game.actionMap.isBound("pause", binding)) return;
+
+      // Back out of the controls screen before unpausing
+      if (game.controlsScreen.isOpen) {
+        game.controlsScreen.close();
+      } else {
+        game.togglePause();
+      }
+    });
+
+    game.events.on(GAME_EVENTS.STATE_CHANGED, ({ state }) => this.show(state));
+    this.show(game.state);
+  }
+
+  onClick(id, handler) {
+    document.getElementById(id).addEventListener("click", handler);
+  }
+
+  show(state) {
+    // Menus need the mouse back
+    if (state !== "playing" && document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+
+    for (const [name, screen] of Object.entries(this.screens)) {
+      screen.style.display = name === state ? "flex" : "none";
+    }
+
+    // There's nothing to export while watching someone else's run
+    for (const button of this.exportButtons) {
+      button.style.display = this.game.recorder ? "" : "none";
+    }
+
+    if (state === "title") {
+      // Only offer to continue when there is a run to continue
+      this.continueButton.style.display = this.game.saveStorage.hasSave()
+        ? ""
+        : "none";
+    } else if (state === "gameOver") {
+      this.renderSummary(this.game.getRunSummary());
+    }
+  }
+
+  // Download the run so far as a replay file
+  exportReplay() {
+    const replay = this.game.getReplay();
+    if (!replay) return;
+
+    const blob = new Blob([JSON.stringify(replay)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `dungeon-vibes-${replay.seed}-${replay.ticks}.replay.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async importReplay(file) {
+    // Let the same file be picked again
+    this.replayFile.value = "";
+    if (!file) return;
+
+    try {
+      const replay = parseReplay(await file.text());
+      this.replayMessage.textContent = "";
+      this.game.playReplay(replay);
+    } catch (error) {
+      this.replayMessage.textContent = error.message;
+    }
+  }
+
+  renderSummary(summary) {
+    const minutes = Math.floor(summary.time / 60);
+    const seconds = Math.floor(summary.time % 60)
+      .toString()
+      .padStart(2, "0");
+
+    const rows = [
+      ["Floor reached", summary.floor],
+      ["Character level", summary.characterLevel],
+      ["Enemies killed", summary.kills],
+      ["Damage dealt", Math.round(summary.damageDealt)],
+      ["Damage taken", Math.round(summary.damageTaken)],
+      ["Items picked up", summary.itemsPickedUp],
+      ["Time survived", `${minutes}:${seconds}`],
+      ["Seed", summary.seed],
+    ];
+
+    this.summary.innerHTML = "";
+    for (const [label, value] of rows) {
+      const row = document.createElement("tr");
+      const name = document.createElement("td");
+      name.textContent = label;
+      const amount = document.createElement("td");
+      amount.textContent = value;
+      row.append(name, amount);
+      this.summary.appendChild(row);
+    }
+  }
+}
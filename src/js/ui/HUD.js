@@ -0,0 +1,127 @@
+import { GAME_EVENTS } from "../data/gameEvents.js";
+import { ACTIONS } from "../data/controls.js";
+import { describeBinding } from "../utils/ActionMap.js";
+
+// DOM side of the game: the meters/level HUD from index.html and the debug
+// overlay. The simulation never touches the DOM directly, so it can run
+// without one (see GameEngine's headless option). Meters are refreshed every
+// frame; level, XP, floor and weapon only when game events change them.
+export class HUD {
+  constructor(game) {
+    this.healthFill = document.getElementById("health-fill");
+    this.healthValue = document.getElementById("health-value");
+    this.hungerFill = document.getElementById("hunger-fill");
+    this.hungerValue = document.getElementById("hunger-value");
+    this.staminaFill = document.getElementById("stamina-fill");
+    this.staminaValue = document.getElementById("stamina-value");
+    this.xpFill = document.getElementById("xp-fill");
+    this.levelValue = document.getElementById("level-value");
+    this.floorValue = document.getElementById("floor-value");
+    this.weaponValue = document.getElementById("weapon-value");
+    this.prompt = document.getElementById("prompt");
+    this.replayIndicator = document.getElementById("replay-indicator");
+
+    this.addDebugInfo();
+
+    const updateProgress = () => this.updateProgress(game);
+    game.events.on(GAME_EVENTS.XP_GAINED, updateProgress);
+    game.events.on(GAME_EVENTS.PLAYER_LEVELED_UP, updateProgress);
+    game.events.on(GAME_EVENTS.LEVEL_CHANGED, updateProgress);
+    game.events.on(GAME_EVENTS.WEAPON_EQUIPPED, updateProgress);
+  }
+
+  update(game) {
+    const player = game.player;
+
+    // Update meter bars
+    this.healthFill.style.width = `${
+      (player.health / player.maxHealth) * 100
+    }%`;
+    this.hungerFill.style.width = `${
+      (player.hunger / player.maxHunger) * 100
+    }%`;
+    this.staminaFill.style.width = `${
+      (player.stamina / player.maxStamina) * 100
+    }%`;
+
+    // Update stats
+    this.healthValue.textContent = player.health;
+    this.hungerValue.textContent = Math.ceil(player.hunger);
+    this.staminaValue.textContent = Math.floor(player.stamina);
+
+    // Tell the player what they can pick up
+    const item = game.nearbyItem;
+    this.prompt.textContent = item
+      ? `Press E to pick up ${item.type.name}` +
+        (item.quantity > 1 ? ` x${item.quantity}` : "")
+      : "";
+
+    this.replayIndicator.style.display = game.replay ? "block" : "none";
+  }
+
+  updateProgress(game) {
+    const player = game.player;
+
+    this.xpFill.style.width = `${
+      (player.experience / player.getExperienceToNextLevel()) * 100
+    }%`;
+    this.levelValue.textContent = player.characterLevel;
+    this.floorValue.textContent = game.level;
+    this.weaponValue.textContent = player.weapon.name;
+  }
+
+  addDebugInfo() {
+    // Create debug container
+    const debugContainer = document.createElement("div");
+    debugContainer.id = "debug-container";
+    debugContainer.style.position = "absolute";
+    debugContainer.style.bottom = "10px";
+    debugContainer.style.left = "10px";
+    debugContainer.style.color = "white";
+    debugContainer.style.fontFamily = "monospace";
+    debugContainer.style.fontSize = "12px";
+    debugContainer.style.backgroundColor = "rgba(0, 0, 0, 0.5)";
+    debugContainer.style.padding = "5px";
+    debugContainer.style.borderRadius = "5px";
+    debugContainer.style.pointerEvents = "none";
+
+    // Add debug text
+    this.debugText = document.createElement("div");
+    this.debugText.id = "debug-text";
+    debugContainer.appendChild(this.debugText);
+
+    document.body.appendChild(debugContainer);
+  }
+
+  updateDebugInfo(game) {
+    const player = game.player;
+
+    // Count active enemies
+    const activeEnemies = game.entities.filter(
+      (entity) => entity !== player && !entity.isDead
+    ).length;
+
+    // Update debug text
+    this.debugText.innerHTML = `
+      FPS: ${Math.round(1 / Math.max(game.frameTime, 0.001))}<br>
+      Seed: ${game.seed} (${game.layoutStrategy})<br>
+      Player Position: ${player.position.x.toFixed(
+        2
+      )}, ${player.position.y.toFixed(2)}, ${player.position.z.toFixed(2)}<br>
+      Active Enemies: ${activeEnemies}<br>
+      Attack Cooldown: ${player.attackCooldown.toFixed(2)}<br>
+      Floor: ${game.level}<br>
+      Controls: ${this.describeControls(game.actionMap)}
+    `;
+  }
+
+  // First binding of each action, e.g. "Jump: Space, Attack: Left Mouse"
+  describeControls(actionMap) {
+    return ACTIONS.filter(({ id }) => actionMap.getBindings(id).length > 0)
+      .map(
+        ({ id, name }) =>
+          `${name}: ${describeBinding(actionMap.getBindings(id)[0])}`
+      )
+      .join(", ");
+  }
+}
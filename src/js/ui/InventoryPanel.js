@@ -0,0 +1,154 @@
+import { GAME_EVENTS } from "../data/gameEvents.js";
+
+// One-line summary of a weapon's stats
+function describeWeapon(weapon) {
+  return (
+    `${weapon.name}: ${weapon.damage} dmg, ${weapon.reach} reach, ` +
+    `${weapon.arc}° arc, ${weapon.swingTime}s swing`
+  );
+}
+
+// Inventory panel, toggled with the inventory action (I by default). Click a
+// slot to select it, then use or drop the selected stack. Weapons are
+// equipped in place of the one in hand.
+export class InventoryPanel {
+  constructor(game) {
+    this.game = game;
+    this.inventory = null;
+    this.selectedSlot = null;
+    this.isOpen = false;
+
+    // Re-render whenever the contents change
+    this.onChange = () => this.render();
+
+    this.createPanel();
+    this.setInventory(game.player.inventory);
+
+    game.inputHandler.addPressListener((binding) => {
+      if (game.canUseItems() && game.actionMap.isBound("inventory", binding)) {
+        this.toggle();
+      }
+    });
+
+    // Close with the run, so it can't be used from the title or game-over
+    // screens
+    game.events.on(GAME_EVENTS.STATE_CHANGED, () => {
+      if (this.isOpen && !game.canUseItems()) this.toggle();
+    });
+
+    // The details line shows the weapon in hand
+    game.events.on(GAME_EVENTS.WEAPON_EQUIPPED, () => this.render());
+  }
+
+  // Show another inventory, e.g. the new player's after a restart
+  setInventory(inventory) {
+    if (this.inventory) this.inventory.removeChangeListener(this.onChange);
+
+    this.inventory = inventory;
+    this.inventory.addChangeListener(this.onChange);
+    this.selectedSlot = null;
+    this.render();
+  }
+
+  createPanel() {
+    this.panel = document.createElement("div");
+    this.panel.id = "inventory-panel";
+    this.panel.style.display = "none";
+
+    const title = document.createElement("h2");
+    title.textContent = "Inventory";
+    this.panel.appendChild(title);
+
+    this.grid = document.createElement("div");
+    this.grid.className = "inventory-grid";
+    this.panel.appendChild(this.grid);
+
+    this.details = document.createElement("div");
+    this.details.className = "inventory-details";
+    this.panel.appendChild(this.details);
+
+    const actions = document.createElement("div");
+    actions.className = "inventory-actions";
+
+    this.useButton = document.createElement("button");
+    this.useButton.textContent = "Use";
+    this.useButton.addEventListener("click", () => {
+      if (this.selectedSlot !== null) this.game.useItem(this.selectedSlot);
+    });
+    actions.appendChild(this.useButton);
+
+    this.dropButton = document.createElement("button");
+    this.dropButton.textContent = "Drop";
+    this.dropButton.addEventListener("click", () => {
+      if (this.selectedSlot !== null) this.game.dropItem(this.selectedSlot);
+    });
+    actions.appendChild(this.dropButton);
+
+    this.panel.appendChild(actions);
+    document.body.appendChild(this.panel);
+  }
+
+  toggle() {
+    this.isOpen = !this.isOpen;
+    this.panel.style.display = this.isOpen ? "block" : "none";
+
+    // Give the mouse back for clicking slots
+    if (this.isOpen && document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+  }
+
+  selectSlot(index) {
+    this.selectedSlot = this.selectedSlot === index ? null : index;
+    this.render();
+  }
+
+  render() {
+    this.grid.innerHTML = "";
+
+    this.inventory.slots.forEach((slot, index) => {
+      const cell = document.createElement("div");
+      cell.className = "inventory-slot";
+      if (index === this.selectedSlot) cell.classList.add("selected");
+
+      if (slot) {
+        const color = slot.type.mesh.color.toString(16).padStart(6, "0");
+        cell.style.borderColor = `#${color}`;
+        cell.title = slot.type.name;
+        cell.textContent = slot.type.name.slice(0, 2);
+
+        if (slot.quantity > 1) {
+          const quantity = document.createElement("span");
+          quantity.className = "inventory-quantity";
+          quantity.textContent = slot.quantity;
+          cell.appendChild(quantity);
+        }
+      }
+
+      cell.addEventListener("click", () => this.selectSlot(index));
+      this.grid.appendChild(cell);
+    });
+
+    // Describe the selected stack
+    const selected =
+      this.selectedSlot !== null
+        ? this.inventory.slots[this.selectedSlot]
+        : null;
+    if (selected && selected.type.weapon) {
+      this.details.textContent = describeWeapon(selected.type.weapon);
+    } else if (selected) {
+      this.details.textContent = `${selected.type.name} x${selected.quantity}`;
+    } else {
+      this.details.textContent = `Wielding: ${describeWeapon(
+        this.game.player.weapon
+      )}`;
+    }
+
+    // Weapons are swapped with the one in hand rather than used up
+    const isWeapon = selected && selected.type.weapon;
+    this.useButton.textContent = isWeapon ? "Equip" : "Use";
+    this.useButton.disabled =
+      !selected || (!selected.type.effects && !isWeapon);
+    this.dropButton.disabled = !selected;
+  }
+}
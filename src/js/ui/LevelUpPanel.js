@@ -0,0 +1,82 @@
+import { GAME_EVENTS } from "../data/gameEvents.js";
+import { UPGRADE_PICK_ACTIONS } from "../data/controls.js";
+
+// Level-up panel. Shown while the game is waiting on an upgrade choice
+// (GameEngine.upgradeChoices) and hidden again once one is picked. The
+// pick actions (1-3 and the D-pad by default) choose one too.
+export class LevelUpPanel {
+  constructor(game) {
+    this.game = game;
+    this.shownChoices = null;
+
+    this.createPanel();
+
+    // Follow the engine's choices whenever they may have changed; a new
+    // floor covers restarts and loaded saves
+    const update = () => this.update(game);
+    game.events.on(GAME_EVENTS.UPGRADES_OFFERED, update);
+    game.events.on(GAME_EVENTS.UPGRADE_CHOSEN, update);
+    game.events.on(GAME_EVENTS.LEVEL_CHANGED, update);
+
+    game.inputHandler.addPressListener((binding) => {
+      if (!game.upgradeChoices) return;
+
+      const index = UPGRADE_PICK_ACTIONS.findIndex((action) =>
+        game.actionMap.isBound(action, binding)
+      );
+      if (index !== -1) {
+        game.chooseUpgrade(index);
+      }
+    });
+  }
+
+  createPanel() {
+    this.panel = document.createElement("div");
+    this.panel.id = "level-up-panel";
+    this.panel.style.display = "none";
+
+    this.title = document.createElement("h2");
+    this.panel.appendChild(this.title);
+
+    this.choices = document.createElement("div");
+    this.panel.appendChild(this.choices);
+
+    document.body.appendChild(this.panel);
+  }
+
+  update(game) {
+    const choices = game.upgradeChoices;
+    if (choices === this.shownChoices) return;
+    this.shownChoices = choices;
+
+    if (!choices) {
+      this.panel.style.display = "none";
+      return;
+    }
+
+    // Several level-ups can be queued; name the one being chosen for
+    const player = game.player;
+    const level = player.characterLevel - player.pendingLevelUps + 1;
+    this.title.textContent = `Level ${level}! Choose an upgrade`;
+    this.choices.innerHTML = "";
+
+    choices.forEach((upgrade, index) => {
+      const button = document.createElement("button");
+      button.className = "upgrade-choice";
+      button.textContent = `${index + 1}. ${upgrade.name}`;
+
+      const description = document.createElement("span");
+      description.className = "upgrade-description";
+      description.textContent = upgrade.description;
+      button.appendChild(description);
+
+      button.addEventListener("click", () => game.chooseUpgrade(index));
+      this.choices.appendChild(button);
+    });
+
+    this.panel.style.display = "block";
+
+    // Give the mouse back for clicking a choice
+    if (document.pointerLockElement) document.exitPointerLock();
+  }
+}
@@ -0,0 +1,168 @@
+import { TILE } from "../world/Tiles.js";
+
+const COLORS = {
+  floor: "#444",
+  floorInView: "#777",
+  wall: "#999",
+  stairs: "#ff0",
+  enemy: "#f33",
+  player: "#fff",
+};
+
+// Minimap in the corner, drawn from the dungeon layout and the floor's
+// ExploredMap. Only explored tiles are drawn; enemies show while in view,
+// items and stairs once their tile has been explored. The map action (M by
+// default) toggles a full-screen map.
+export class Minimap {
+  constructor(game) {
+    this.game = game;
+    this.isFullscreen = false;
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.id = "minimap";
+    this.context = this.canvas.getContext("2d");
+    document.body.appendChild(this.canvas);
+
+    // Tiles are drawn into their own layer and only redrawn when what's
+    // explored or in view changes
+    this.tileLayer = document.createElement("canvas");
+    this.tileMap = null;
+    this.tileVersion = -1;
+
+    this.resize();
+
+    game.inputHandler.addPressListener((binding) => {
+      if (game.actionMap.isBound("map", binding)) {
+        this.toggleFullscreen();
+      }
+    });
+
+    window.addEventListener("resize", () => {
+      if (this.isFullscreen) this.resize();
+    });
+  }
+
+  toggleFullscreen() {
+    this.isFullscreen = !this.isFullscreen;
+    this.canvas.classList.toggle("fullscreen", this.isFullscreen);
+    this.resize();
+  }
+
+  resize() {
+    const size = this.isFullscreen
+      ? Math.floor(Math.min(window.innerWidth, window.innerHeight) * 0.85)
+      : 200;
+    this.canvas.width = size;
+    this.canvas.height = size;
+    this.tileLayer.width = size;
+    this.tileLayer.height = size;
+
+    // Force the tiles to redraw at the new size
+    this.tileVersion = -1;
+  }
+
+  update(game) {
+    // Only shown during a run
+    const inRun = game.state === "playing" || game.state === "paused";
+    this.canvas.style.display = inRun ? "block" : "none";
+
+    const map = game.exploredMap;
+    if (!inRun || !map) return;
+
+    const dungeon = game.dungeonGenerator;
+    const scale = this.canvas.width / Math.max(map.width, map.height);
+
+    if (map !== this.tileMap || map.version !== this.tileVersion) {
+      this.drawTiles(dungeon, map, scale);
+      this.tileMap = map;
+      this.tileVersion = map.version;
+    }
+
+    const context = this.context;
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    context.drawImage(this.tileLayer, 0, 0);
+
+    // Items lying on explored tiles
+    for (const item of game.items) {
+      const tile = dungeon.worldToTile(item.position);
+      if (!map.isExplored(tile.x, tile.y)) continue;
+
+      const color = item.type.mesh.color.toString(16).padStart(6, "0");
+      this.drawDot(dungeon, item.position, scale, `#${color}`, 0.3);
+    }
+
+    // Enemies only while the player can see them
+    for (const entity of game.entities) {
+      if (entity === game.player || entity.isDead) continue;
+
+      const tile = dungeon.worldToTile(entity.position);
+      if (!map.isVisible(tile.x, tile.y)) continue;
+
+      this.drawDot(dungeon, entity.position, scale, COLORS.enemy, 0.4);
+    }
+
+    this.drawPlayer(dungeon, game.player, scale);
+  }
+
+  drawTiles(dungeon, map, scale) {
+    const context = this.tileLayer.getContext("2d");
+    context.clearRect(0, 0, this.tileLayer.width, this.tileLayer.height);
+
+    for (let y = 0; y < map.height; y++) {
+      for (let x = 0; x < map.width; x++) {
+        if (!map.isExplored(x, y)) continue;
+
+        const tile = dungeon.layout[y][x];
+        if (tile === TILE.EMPTY) continue;
+
+        if (tile === TILE.WALL) {
+          context.fillStyle = COLORS.wall;
+        } else if (tile === TILE.STAIRS) {
+          context.fillStyle = COLORS.stairs;
+        } else {
+          context.fillStyle = map.isVisible(x, y)
+            ? COLORS.floorInView
+            : COLORS.floor;
+        }
+        context.fillRect(x * scale, y * scale, scale, scale);
+      }
+    }
+  }
+
+  // Map position of a world position, in canvas pixels
+  toMap(dungeon, position, scale) {
+    return {
+      x: (position.x / dungeon.tileSize + 0.5) * scale,
+      y: (position.z / dungeon.tileSize + 0.5) * scale,
+    };
+  }
+
+  drawDot(dungeon, position, scale, color, size) {
+    const { x, y } = this.toMap(dungeon, position, scale);
+    const context = this.context;
+    context.fillStyle = color;
+    context.beginPath();
+    context.arc(x, y, Math.max(scale * size, 1.5), 0, Math.PI * 2);
+    context.fill();
+  }
+
+  // An arrow pointing the way the player is facing
+  drawPlayer(dungeon, player, scale) {
+    const { x, y } = this.toMap(dungeon, player.position, scale);
+    const size = Math.max(scale * 0.8, 4);
+
+    const context = this.context;
+    context.save();
+    context.translate(x, y);
+    // Facing +Z in the world is down the map, and yaw turns towards +X
+    context.rotate(-player.rotation.y);
+    context.fillStyle = COLORS.player;
+    context.beginPath();
+    context.moveTo(0, size);
+    context.lineTo(size * 0.6, -size * 0.6);
+    context.lineTo(-size * 0.6, -size * 0.6);
+    context.closePath();
+    context.fill();
+    context.restore();
+  }
+}
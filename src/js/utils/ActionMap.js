@@ -0,0 +1,172 @@
+import { ACTIONS, DEFAULT_BINDINGS, MAX_BINDINGS } from "../data/controls.js";
+
+const CONTROLS_KEY = "dungeon-vibes-controls";
+const CONTROLS_VERSION = 1;
+
+const MOUSE_NAMES = ["Left Mouse", "Middle Mouse", "Right Mouse"];
+const PAD_NAMES = [
+  "Pad A",
+  "Pad B",
+  "Pad X",
+  "Pad Y",
+  "Pad LB",
+  "Pad RB",
+  "Pad LT",
+  "Pad RT",
+  "Pad Back",
+  "Pad Start",
+  "Pad L3",
+  "Pad R3",
+  "Pad Up",
+  "Pad Down",
+  "Pad Left",
+  "Pad Right",
+];
+
+function copyDefaults() {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_BINDINGS).map(([action, bindings]) => [
+      action,
+      [...bindings],
+    ])
+  );
+}
+
+// When an action is live (see ACTIONS)
+function getContext(action) {
+  return ACTIONS.find(({ id }) => id === action)?.context ?? "play";
+}
+
+// Readable name for a binding, e.g. "key:ShiftLeft" -> "Left Shift"
+export function describeBinding(binding) {
+  const [device, code] = binding.split(":");
+
+  if (device === "mouse") {
+    return MOUSE_NAMES[code] ?? `Mouse ${Number(code) + 1}`;
+  }
+  if (device === "pad") {
+    return PAD_NAMES[code] ?? `Pad ${code}`;
+  }
+
+  const modifier = code.match(/^(Shift|Control|Alt|Meta)(Left|Right)$/);
+  if (modifier) return `${modifier[2]} ${modifier[1]}`;
+
+  const arrow = code.match(/^Arrow(\w+)$/);
+  if (arrow) return `${arrow[1]} Arrow`;
+
+  return code.replace(/^(Key|Digit)/, "");
+}
+
+// Which bindings trigger which action. Bindings persist to localStorage
+// (when there is one); actions missing from a stored map keep their
+// defaults, so new actions pick up bindings after an update.
+export class ActionMap {
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.storage = storage;
+    this.bindings = copyDefaults();
+    this.load();
+  }
+
+  getBindings(action) {
+    return this.bindings[action] ?? [];
+  }
+
+  // On-screen touch controls ("touch:<action>") always trigger their own
+  // action and can't be rebound
+  isBound(action, binding) {
+    return (
+      binding === `touch:${action}` ||
+      this.getBindings(action).includes(binding)
+    );
+  }
+
+  // The other action in the same context already using a binding, or null
+  findConflict(action, binding) {
+    const context = getContext(action);
+    const other = ACTIONS.find(
+      ({ id }) =>
+        id !== action && getContext(id) === context && this.isBound(id, binding)
+    );
+    return other ? other.id : null;
+  }
+
+  // Put a binding in one of an action's slots (a slot past the end adds
+  // it). If another action already uses the binding, nothing changes and
+  // { conflict: otherAction } is returned, unless `swap` is set: then the
+  // other action takes over this slot's old binding (or just loses it).
+  // Returns null when the binding was applied.
+  rebind(action, slot, binding, { swap = false } = {}) {
+    const conflict = this.findConflict(action, binding);
+    if (conflict && !swap) return { conflict };
+
+    const bindings = this.getBindings(action);
+    const previous = bindings[slot] ?? null;
+
+    if (conflict) {
+      const other = this.getBindings(conflict);
+      const index = other.indexOf(binding);
+      if (previous && !other.includes(previous)) {
+        other[index] = previous;
+      } else {
+        other.splice(index, 1);
+      }
+    }
+
+    // Don't list the same binding twice for one action
+    const existing = bindings.indexOf(binding);
+    if (existing !== -1 && existing !== slot) {
+      bindings.splice(existing, 1);
+      if (existing < slot) slot--;
+    }
+
+    if (slot < bindings.length) {
+      bindings[slot] = binding;
+    } else if (bindings.length < MAX_BINDINGS) {
+      bindings.push(binding);
+    }
+
+    this.bindings[action] = bindings;
+    this.save();
+    return null;
+  }
+
+  unbind(action, slot) {
+    this.getBindings(action).splice(slot, 1);
+    this.save();
+  }
+
+  reset() {
+    this.bindings = copyDefaults();
+    this.save();
+  }
+
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(
+        CONTROLS_KEY,
+        JSON.stringify({ version: CONTROLS_VERSION, bindings: this.bindings })
+      );
+    } catch (error) {
+      console.warn("Could not save controls:", error);
+    }
+  }
+
+  load() {
+    if (!this.storage) return;
+
+    try {
+      const data = JSON.parse(this.storage.getItem(CONTROLS_KEY));
+      if (!data || data.version !== CONTROLS_VERSION) return;
+
+      for (const { id } of ACTIONS) {
+        if (Array.isArray(data.bindings[id])) {
+          this.bindings[id] = data.bindings[id].slice(0, MAX_BINDINGS);
+        }
+      }
+    } catch (error) {
+      console.warn("Ignoring unreadable controls:", error);
+    }
+  }
+}
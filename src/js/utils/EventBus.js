@@ -0,0 +1,48 @@
+// Publish/subscribe hub. The bus only accepts the event names it was
+// created with, so a misspelt name fails loudly instead of never firing.
+export class EventBus {
+  constructor(types) {
+    this.types = new Set(Object.values(types));
+    this.listeners = new Map();
+  }
+
+  checkType(type) {
+    if (!this.types.has(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+  }
+
+  // Subscribe to an event: listener(payload). Returns a function that
+  // unsubscribes again.
+  on(type, listener) {
+    this.checkType(type);
+
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(listener);
+
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      this.listeners.set(
+        type,
+        listeners.filter((l) => l !== listener)
+      );
+    }
+  }
+
+  emit(type, payload = {}) {
+    this.checkType(type);
+
+    // Listeners may unsubscribe while we're notifying
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+    for (const listener of [...listeners]) {
+      listener(payload);
+    }
+  }
+}
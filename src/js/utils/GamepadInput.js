@@ -0,0 +1,91 @@
+import { applyDeadzone } from "./applyDeadzone.js";
+
+// Triggers are analog; they count as pressed past this value
+const TRIGGER_THRESHOLD = 0.5;
+
+// Polls the Gamepad API once per update. Follows the first connected pad
+// and switches when pads are plugged in or out. Buttons are reported by
+// their standard-mapping index; what they do is up to the ActionMap. Pass
+// `getGamepads` to read from somewhere other than navigator.getGamepads()
+// (e.g. a mock in tests).
+export class GamepadInput {
+  constructor(options = {}) {
+    this.getGamepads =
+      options.getGamepads ??
+      (() =>
+        typeof navigator !== "undefined" && navigator.getGamepads
+          ? navigator.getGamepads()
+          : []);
+    this.deadzone = options.deadzone ?? 0.2;
+
+    this.gamepad = null; // Snapshot of the active pad from the last poll
+    this.index = null;
+
+    // Browsers announce pads as they connect; polling catches the rest
+    if (typeof window !== "undefined") {
+      window.addEventListener("gamepadconnected", (event) => {
+        if (this.index === null) this.index = event.gamepad.index;
+      });
+      window.addEventListener("gamepaddisconnected", (event) => {
+        if (this.index === event.gamepad.index) this.index = null;
+      });
+    }
+  }
+
+  update() {
+    const gamepads = Array.from(this.getGamepads() ?? []);
+
+    // Keep the active pad while it's there, otherwise use the first one
+    let gamepad = this.index !== null ? gamepads[this.index] : null;
+    if (!gamepad || !gamepad.connected) {
+      gamepad = gamepads.find((pad) => pad && pad.connected) ?? null;
+    }
+
+    this.gamepad = gamepad;
+    this.index = gamepad ? gamepad.index : null;
+  }
+
+  isConnected() {
+    return this.gamepad !== null;
+  }
+
+  // Left stick as { x, z }, with a radial deadzone
+  getMovement() {
+    if (!this.gamepad) return { x: 0, z: 0 };
+
+    const x = this.gamepad.axes[0] ?? 0;
+    const z = this.gamepad.axes[1] ?? 0; // Stick up is negative, like W
+    return applyDeadzone(x, z, this.deadzone);
+  }
+
+  // Right stick as { x, y }, with the same deadzone
+  getLook() {
+    if (!this.gamepad) return { x: 0, y: 0 };
+
+    const { x, z } = applyDeadzone(
+      this.gamepad.axes[2] ?? 0,
+      this.gamepad.axes[3] ?? 0,
+      this.deadzone
+    );
+    return { x, y: z };
+  }
+
+  isButtonPressed(index) {
+    if (!this.gamepad) return false;
+
+    const button = this.gamepad.buttons[index];
+    return (
+      button !== undefined &&
+      (button.pressed || button.value > TRIGGER_THRESHOLD)
+    );
+  }
+
+  // Indices of every button held down
+  getPressedButtons() {
+    if (!this.gamepad) return [];
+
+    return this.gamepad.buttons
+      .map((_, index) => index)
+      .filter((index) => this.isButtonPressed(index));
+  }
+}
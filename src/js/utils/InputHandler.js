@@ -1,27 +1,56 @@
 import * as THREE from "three";
-
+import { GamepadInput } from "./GamepadInput.js";
+import { TouchInput } from "./TouchInput.js";
+import { ActionMap } from "./ActionMap.js";
+
+// Keyboard, mouse, gamepad and touch input, queried by action through an
+// ActionMap rather than by key. The action queries (isAttacking etc.)
+// answer the same whichever device is being used. Clicking
+// `pointerLockElement` (the game canvas) captures the mouse for turning
+// the camera.
 export class InputHandler {
-  constructor(camera) {
+  constructor(camera, options = {}) {
     this.camera = camera;
+    this.actionMap = options.actionMap ?? new ActionMap();
     this.keys = {};
+    this.mouseButtons = {};
     this.mousePosition = new THREE.Vector2();
     this.isPointerLocked = false;
     this.movementX = 0;
     this.movementY = 0;
 
+    // Presses from any device, as bindings (e.g. "key:KeyI", "pad:9")
+    this.pressListeners = [];
+    this.capture = null; // Takes the next press instead of the listeners
+
+    // Called when the browser releases pointer lock. Esc does that without
+    // the key press ever reaching the page.
+    this.onPointerLockLost = options.onPointerLockLost ?? null;
+
     // Initialize event listeners
     this.initKeyboardEvents();
     this.initMouseEvents();
 
-    // For third-person, we don't need pointer lock
-    // but we'll keep the code in case we want to switch back
-    // this.initPointerLock();
+    // Gamepads are polled rather than evented
+    this.gamepad = new GamepadInput(options.gamepad);
+    this.padButtons = []; // Buttons held at the last poll
+
+    // On-screen joystick and buttons for touch devices
+    this.touch = new TouchInput({
+      onPress: (binding) => this.notifyPress(binding),
+    });
+
+    // Touch devices have no mouse to capture
+    if (options.pointerLockElement && !TouchInput.isTouchDevice()) {
+      this.initPointerLock(options.pointerLockElement);
+    }
   }
 
   initKeyboardEvents() {
     // Key down event
     window.addEventListener("keydown", (event) => {
       this.keys[event.code] = true;
+      if (!event.repeat) this.notifyPress(`key:${event.code}`);
     });
 
     // Key up event
@@ -36,91 +65,180 @@ export class InputHandler {
       this.mousePosition.x = (event.clientX / window.innerWidth) * 2 - 1;
       this.mousePosition.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
+      // Several moves can arrive between frames, so add them up
       if (this.isPointerLocked) {
-        this.movementX = event.movementX || 0;
-        this.movementY = event.movementY || 0;
+        this.movementX += event.movementX || 0;
+        this.movementY += event.movementY || 0;
       }
     });
 
     // Mouse click event
     document.addEventListener("mousedown", (event) => {
-      if (event.button === 0) {
-        this.keys["MouseLeft"] = true;
-      }
+      this.mouseButtons[event.button] = true;
+      this.notifyPress(`mouse:${event.button}`);
     });
 
     document.addEventListener("mouseup", (event) => {
-      if (event.button === 0) {
-        this.keys["MouseLeft"] = false;
-      }
+      this.mouseButtons[event.button] = false;
+    });
+
+    // Right click can be bound, so keep the context menu out of the way
+    document.addEventListener("contextmenu", (event) => {
+      event.preventDefault();
     });
   }
 
-  // For third-person, we don't need pointer lock
-  // but we'll keep the code in case we want to switch back
-  initPointerLock() {
+  initPointerLock(element) {
     // Request pointer lock on canvas click
-    document.addEventListener("click", () => {
+    element.addEventListener("click", () => {
       if (!this.isPointerLocked) {
-        document.body.requestPointerLock();
+        element.requestPointerLock();
       }
     });
 
     // Handle pointer lock change
     document.addEventListener("pointerlockchange", () => {
+      const wasLocked = this.isPointerLocked;
       this.isPointerLocked = document.pointerLockElement !== null;
+      if (wasLocked && !this.isPointerLocked && this.onPointerLockLost) {
+        this.onPointerLockLost();
+      }
     });
   }
 
-  update(deltaTime) {
-    // Reset movement values after each frame
-    this.movementX = 0;
-    this.movementY = 0;
+  // Subscribe to presses from any device: listener(binding)
+  addPressListener(listener) {
+    this.pressListeners.push(listener);
+  }
+
+  removePressListener(listener) {
+    this.pressListeners = this.pressListeners.filter((l) => l !== listener);
+  }
+
+  // Hand the next press to `callback` alone, e.g. to rebind a control
+  captureNextPress(callback) {
+    this.capture = callback;
+  }
+
+  cancelCapture() {
+    this.capture = null;
+  }
+
+  notifyPress(binding) {
+    if (this.capture) {
+      const capture = this.capture;
+      this.capture = null;
+      capture(binding);
+      return;
+    }
+
+    for (const listener of this.pressListeners) {
+      listener(binding);
+    }
   }
 
+  // Poll devices that don't send events. Called once per rendered frame,
+  // so presses are seen in menus too while the simulation isn't running.
+  poll() {
+    this.gamepad.update();
+
+    const held = this.gamepad.getPressedButtons();
+    for (const index of held) {
+      if (!this.padButtons.includes(index)) this.notifyPress(`pad:${index}`);
+    }
+    this.padButtons = held;
+  }
+
+  // Devices are evented or polled per frame, so there's nothing to
+  // advance per simulation step
+  update(deltaTime) {}
+
   isKeyPressed(keyCode) {
     return this.keys[keyCode] === true;
   }
 
+  isBindingActive(binding) {
+    const [device, code] = binding.split(":");
+    if (device === "key") return this.keys[code] === true;
+    if (device === "mouse") return this.mouseButtons[code] === true;
+    if (device === "pad") return this.gamepad.isButtonPressed(Number(code));
+    return false;
+  }
+
+  isActionActive(action) {
+    return (
+      this.touch.isPressed(action) ||
+      this.actionMap
+        .getBindings(action)
+        .some((binding) => this.isBindingActive(binding))
+    );
+  }
+
   getMovementDirection() {
     const direction = new THREE.Vector3(0, 0, 0);
 
     // Forward/backward
-    if (this.isKeyPressed("KeyW")) direction.z -= 1;
-    if (this.isKeyPressed("KeyS")) direction.z += 1;
+    if (this.isActionActive("moveForward")) direction.z -= 1;
+    if (this.isActionActive("moveBack")) direction.z += 1;
 
     // Left/right
-    if (this.isKeyPressed("KeyA")) direction.x -= 1;
-    if (this.isKeyPressed("KeyD")) direction.x += 1;
+    if (this.isActionActive("moveLeft")) direction.x -= 1;
+    if (this.isActionActive("moveRight")) direction.x += 1;
 
     // Normalize the direction vector
     if (direction.length() > 0) {
-      direction.normalize();
+      return direction.normalize();
+    }
+
+    // Otherwise use an analog stick, keeping how far it's pushed
+    let stick = this.gamepad.getMovement();
+    if (stick.x === 0 && stick.z === 0) {
+      stick = this.touch.getMovement();
     }
+    direction.set(stick.x, 0, stick.z);
 
     return direction;
   }
 
+  // Mouse movement while captured, since the last call
   getMouseMovement() {
-    return {
+    const movement = {
       x: this.movementX,
       y: this.movementY,
     };
+    this.movementX = 0;
+    this.movementY = 0;
+    return movement;
+  }
+
+  // Gamepad right stick, for turning the camera
+  getCameraLook() {
+    return this.gamepad.getLook();
+  }
+
+  // Heading that movement is relative to. Read through the input source so
+  // replays can play back the camera the player actually had.
+  getCameraYaw() {
+    return this.camera.rotation.y;
   }
 
   isAttacking() {
-    return this.isKeyPressed("MouseLeft");
+    return this.isActionActive("attack");
   }
 
   isJumping() {
-    return this.isKeyPressed("Space");
+    return this.isActionActive("jump");
   }
 
   isSprinting() {
-    return this.isKeyPressed("ShiftLeft");
+    return this.isActionActive("sprint");
+  }
+
+  isDashing() {
+    return this.isActionActive("dash");
   }
 
   isInteracting() {
-    return this.isKeyPressed("KeyE");
+    return this.isActionActive("interact");
   }
 }
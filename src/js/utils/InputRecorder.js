@@ -0,0 +1,43 @@
+import { appendFrame, createReplay } from "./replayFormat.js";
+
+// Records what an input source reports each simulation tick, plus the
+// UI actions taken between ticks, so a run can be replayed exactly (see
+// ReplayInput). `settings` is everything else the run depends on: seed,
+// dungeon and difficulty settings, and the save it started from, if any.
+export class InputRecorder {
+  constructor(settings) {
+    this.settings = settings;
+    this.frames = [];
+    this.commands = [];
+  }
+
+  // Call once per tick, after the input source has updated
+  capture(input) {
+    const direction = input.getMovementDirection();
+
+    appendFrame(this.frames, {
+      move: { x: direction.x, z: direction.z },
+      yaw: input.getCameraYaw(),
+      attack: input.isAttacking(),
+      jump: input.isJumping(),
+      sprint: input.isSprinting(),
+      dash: input.isDashing(),
+      interact: input.isInteracting(),
+    });
+  }
+
+  // Record a UI action taken before tick `tick` runs
+  addCommand(tick, name, index) {
+    this.commands.push([tick, name, index]);
+  }
+
+  // The recording so far. `checksum` fingerprints the state it ends in.
+  toReplay(checksum) {
+    return createReplay(
+      this.settings,
+      this.frames.map((row) => [...row]),
+      this.commands.map((command) => [...command]),
+      checksum
+    );
+  }
+}
@@ -0,0 +1,81 @@
+// Seedable pseudo-random number generator (mulberry32).
+// Every gameplay decision that must be reproducible should draw from an
+// instance of this class instead of calling Math.random() directly.
+export class Random {
+  constructor(seed = Random.randomSeed()) {
+    this.seed = Random.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Create a fresh seed for a new run
+  static randomSeed() {
+    return Math.floor(Math.random() * 0xffffffff) >>> 0;
+  }
+
+  // Accept numbers or arbitrary strings (e.g. from a URL) as seeds
+  static normalizeSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for non-numeric seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Returns a float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Returns a float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Returns an integer in [min, max] (inclusive)
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  // Returns a random element of an array
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  // Returns the `value` of an entry picked from [{ value, weight }, ...]
+  // with probability proportional to its weight
+  weighted(entries) {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = this.next() * total;
+    for (const entry of entries) {
+      roll -= entry.weight;
+      if (roll < 0) return entry.value;
+    }
+    return entries[entries.length - 1].value;
+  }
+
+  // Returns true with the given probability
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  // Derive an independent generator, so separate systems don't shift
+  // each other's sequences when one of them changes how much it draws
+  fork(label) {
+    return new Random(Random.normalizeSeed(`${this.seed}:${label}`));
+  }
+}
@@ -0,0 +1,39 @@
+import * as THREE from "three";
+import { ScriptedInput } from "./ScriptedInput.js";
+import { decodeFrames } from "./replayFormat.js";
+
+// Input source that plays back a recorded replay tick by tick. Once the
+// recording runs out it reports no input.
+export class ReplayInput extends ScriptedInput {
+  constructor(replay) {
+    const states = decodeFrames(replay.frames);
+    super((tick) => states[tick] ?? ScriptedInput.emptyState());
+
+    this.ticks = states.length;
+    this.commands = replay.commands;
+    this.nextCommand = 0;
+  }
+
+  isFinished() {
+    return this.tick >= this.ticks;
+  }
+
+  // UI actions recorded before tick `tick`, each as [name, index]
+  takeCommands(tick) {
+    const commands = [];
+    while (
+      this.nextCommand < this.commands.length &&
+      this.commands[this.nextCommand][0] <= tick
+    ) {
+      const [, name, index] = this.commands[this.nextCommand++];
+      commands.push([name, index]);
+    }
+    return commands;
+  }
+
+  // Movement was recorded after normalizing (and analog sticks can be
+  // under full tilt), so play it back exactly as it was
+  getMovementDirection() {
+    return new THREE.Vector3(this.state.move.x, 0, this.state.move.z);
+  }
+}
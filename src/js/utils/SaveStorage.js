@@ -0,0 +1,59 @@
+// Saved runs are versioned JSON. Bump SAVE_VERSION whenever the shape
+// written by GameEngine.serialize() changes; saves from other versions are
+// ignored rather than half-loaded.
+export const SAVE_VERSION = 2;
+
+const SAVE_KEY = "dungeon-vibes-save";
+
+// Persists a single saved run. Uses localStorage by default; without any
+// storage (e.g. headless runs in Node) saving is a no-op and nothing loads.
+export class SaveStorage {
+  constructor(storage = globalThis.localStorage ?? null, key = SAVE_KEY) {
+    this.storage = storage;
+    this.key = key;
+  }
+
+  save(data) {
+    if (!this.storage) return false;
+
+    try {
+      this.storage.setItem(this.key, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled
+      console.warn("Could not save the game:", error);
+      return false;
+    }
+  }
+
+  // Returns the saved run, or null if there is none or it can't be used
+  load() {
+    if (!this.storage) return null;
+
+    const text = this.storage.getItem(this.key);
+    if (!text) return null;
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      console.warn("Discarding unreadable save:", error);
+      return null;
+    }
+
+    if (!data || data.version !== SAVE_VERSION) {
+      console.warn(`Discarding save from version ${data && data.version}`);
+      return null;
+    }
+
+    return data;
+  }
+
+  hasSave() {
+    return this.load() !== null;
+  }
+
+  clear() {
+    if (this.storage) this.storage.removeItem(this.key);
+  }
+}
@@ -0,0 +1,110 @@
+import * as THREE from "three";
+
+// Input source with the same query interface as InputHandler, driven by
+// code instead of the keyboard and mouse. Used to run the game headless
+// (e.g. from Node) and in automated checks.
+//
+// `script` is optional: a function (tick) => state called once per
+// update, where state is { move: { x, z }, yaw, attack, jump, sprint, dash,
+// interact, chooseUpgrade } and yaw is the camera's heading that movement
+// is relative to. chooseUpgrade is the index of the upgrade to take when a
+// level-up offers a choice; leave it null to hold the run on the choice.
+// Without a script, set the state directly with set().
+export class ScriptedInput {
+  constructor(script = null) {
+    this.script = script;
+    this.tick = 0;
+    this.state = ScriptedInput.emptyState();
+  }
+
+  static emptyState() {
+    return {
+      move: { x: 0, z: 0 },
+      yaw: 0,
+      attack: false,
+      jump: false,
+      sprint: false,
+      dash: false,
+      interact: false,
+      chooseUpgrade: null,
+    };
+  }
+
+  // Replace part of the current state, e.g. set({ attack: true })
+  set(state) {
+    this.state = { ...this.state, ...state };
+  }
+
+  reset() {
+    this.state = ScriptedInput.emptyState();
+  }
+
+  update(deltaTime) {
+    if (this.script) {
+      this.state = { ...ScriptedInput.emptyState(), ...this.script(this.tick) };
+    }
+    this.tick++;
+  }
+
+  // Scripted input has no devices to poll and no presses to report
+  poll() {}
+
+  addPressListener(listener) {}
+
+  removePressListener(listener) {}
+
+  isKeyPressed(keyCode) {
+    return false;
+  }
+
+  getMovementDirection() {
+    const direction = new THREE.Vector3(
+      this.state.move.x,
+      0,
+      this.state.move.z
+    );
+
+    // Normalize the direction vector
+    if (direction.length() > 0) {
+      direction.normalize();
+    }
+
+    return direction;
+  }
+
+  getMouseMovement() {
+    return { x: 0, y: 0 };
+  }
+
+  getCameraLook() {
+    return { x: 0, y: 0 };
+  }
+
+  getCameraYaw() {
+    return this.state.yaw;
+  }
+
+  isAttacking() {
+    return this.state.attack;
+  }
+
+  isJumping() {
+    return this.state.jump;
+  }
+
+  isSprinting() {
+    return this.state.sprint;
+  }
+
+  isDashing() {
+    return this.state.dash;
+  }
+
+  isInteracting() {
+    return this.state.interact;
+  }
+
+  getUpgradeChoice() {
+    return this.state.chooseUpgrade;
+  }
+}
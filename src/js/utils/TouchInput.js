@@ -0,0 +1,171 @@
+import { applyDeadzone } from "./applyDeadzone.js";
+
+// On-screen buttons and the action each one holds down
+const BUTTONS = [
+  { action: "attack", label: "ATK" },
+  { action: "jump", label: "JUMP" },
+  { action: "interact", label: "USE" },
+  { action: "dash", label: "DASH" },
+];
+
+// On-screen controls for phones and tablets: a floating joystick on the
+// left half of the screen and action buttons on the right, plus a pause
+// button. Built on pointer events, so each finger is tracked on its own and
+// moving while attacking works. Shown straight away on touch devices,
+// otherwise on the first touch.
+//
+// Presses are reported to `onPress` as "touch:<action>" bindings.
+export class TouchInput {
+  constructor(options = {}) {
+    this.onPress = options.onPress ?? (() => {});
+    this.deadzone = options.deadzone ?? 0.15;
+    this.radius = options.radius ?? 60; // Joystick travel in pixels
+
+    this.stick = { pointerId: null, originX: 0, originY: 0, x: 0, z: 0 };
+    this.pointers = {}; // action -> Set of pointer ids holding its button
+    this.isVisible = false;
+
+    this.createControls();
+
+    if (TouchInput.isTouchDevice()) {
+      this.show();
+    } else {
+      window.addEventListener("pointerdown", (event) => {
+        if (event.pointerType === "touch") this.show();
+      });
+    }
+  }
+
+  static isTouchDevice() {
+    return "ontouchstart" in window || navigator.maxTouchPoints > 0;
+  }
+
+  createControls() {
+    this.container = document.createElement("div");
+    this.container.id = "touch-controls";
+
+    // Joystick: appears wherever the thumb lands in its zone
+    this.stickZone = document.createElement("div");
+    this.stickZone.className = "touch-stick-zone";
+    this.stickBase = document.createElement("div");
+    this.stickBase.className = "touch-stick-base";
+    this.stickKnob = document.createElement("div");
+    this.stickKnob.className = "touch-stick-knob";
+    this.stickBase.appendChild(this.stickKnob);
+    this.stickZone.appendChild(this.stickBase);
+    this.container.appendChild(this.stickZone);
+    this.initStick();
+
+    const buttons = document.createElement("div");
+    buttons.className = "touch-buttons";
+    for (const { action, label } of BUTTONS) {
+      buttons.appendChild(this.createButton(action, label));
+    }
+    this.container.appendChild(buttons);
+
+    const pause = this.createButton("pause", "II");
+    pause.classList.add("touch-pause");
+    this.container.appendChild(pause);
+
+    document.body.appendChild(this.container);
+  }
+
+  initStick() {
+    this.stickZone.addEventListener("pointerdown", (event) => {
+      if (this.stick.pointerId !== null) return;
+
+      // Also stops the browser from faking a mouse click
+      event.preventDefault();
+      this.stickZone.setPointerCapture(event.pointerId);
+
+      this.stick.pointerId = event.pointerId;
+      this.stick.originX = event.clientX;
+      this.stick.originY = event.clientY;
+      this.stickBase.style.left = `${event.clientX}px`;
+      this.stickBase.style.top = `${event.clientY}px`;
+      this.stickBase.style.display = "block";
+      this.moveStick(event);
+    });
+
+    this.stickZone.addEventListener("pointermove", (event) => {
+      if (event.pointerId === this.stick.pointerId) this.moveStick(event);
+    });
+
+    const release = (event) => {
+      if (event.pointerId !== this.stick.pointerId) return;
+
+      this.stick.pointerId = null;
+      this.stick.x = 0;
+      this.stick.z = 0;
+      this.stickBase.style.display = "none";
+    };
+    this.stickZone.addEventListener("pointerup", release);
+    this.stickZone.addEventListener("pointercancel", release);
+  }
+
+  moveStick(event) {
+    let dx = (event.clientX - this.stick.originX) / this.radius;
+    let dy = (event.clientY - this.stick.originY) / this.radius;
+
+    // Keep the knob inside the base
+    const length = Math.hypot(dx, dy);
+    if (length > 1) {
+      dx /= length;
+      dy /= length;
+    }
+    this.stickKnob.style.transform = `translate(${dx * this.radius}px, ${
+      dy * this.radius
+    }px)`;
+
+    // Dragging down the screen moves towards the camera, like S
+    const { x, z } = applyDeadzone(dx, dy, this.deadzone);
+    this.stick.x = x;
+    this.stick.z = z;
+  }
+
+  createButton(action, label) {
+    const button = document.createElement("div");
+    button.className = "touch-button";
+    button.textContent = label;
+    this.pointers[action] = new Set();
+
+    button.addEventListener("pointerdown", (event) => {
+      event.preventDefault();
+
+      const pointers = this.pointers[action];
+      if (pointers.size === 0) {
+        button.classList.add("pressed");
+        this.onPress(`touch:${action}`);
+      }
+      pointers.add(event.pointerId);
+    });
+
+    // Sliding off the button lets go of it too
+    const release = (event) => {
+      const pointers = this.pointers[action];
+      pointers.delete(event.pointerId);
+      if (pointers.size === 0) button.classList.remove("pressed");
+    };
+    button.addEventListener("pointerup", release);
+    button.addEventListener("pointercancel", release);
+    button.addEventListener("pointerleave", release);
+
+    return button;
+  }
+
+  show() {
+    if (this.isVisible) return;
+
+    this.isVisible = true;
+    this.container.style.display = "block";
+  }
+
+  getMovement() {
+    return { x: this.stick.x, z: this.stick.z };
+  }
+
+  isPressed(action) {
+    const pointers = this.pointers[action];
+    return pointers !== undefined && pointers.size > 0;
+  }
+}
@@ -0,0 +1,10 @@
+// Radial deadzone for an analog stick. Inside the deadzone the stick reads
+// as centred; outside it the magnitude is rescaled so it still runs
+// smoothly from 0 to 1. Returns { x, z }.
+export function applyDeadzone(x, z, deadzone) {
+  const magnitude = Math.hypot(x, z);
+  if (magnitude <= deadzone) return { x: 0, z: 0 };
+
+  const scaled = (Math.min(magnitude, 1) - deadzone) / (1 - deadzone);
+  return { x: (x / magnitude) * scaled, z: (z / magnitude) * scaled };
+}
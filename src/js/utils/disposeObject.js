@@ -0,0 +1,45 @@
+// Release the GPU resources (geometries, materials, textures, shadow maps,
+// instance buffers) held by an object and all of its descendants. Materials
+// listed in `keep` are shared between levels and are left alone.
+export function disposeObject(object, keep = []) {
+  const disposed = new Set(keep);
+
+  const disposeMaterial = (material) => {
+    if (disposed.has(material)) return;
+    disposed.add(material);
+
+    // Dispose any textures attached to the material
+    for (const value of Object.values(material)) {
+      if (value && value.isTexture && !disposed.has(value)) {
+        disposed.add(value);
+        value.dispose();
+      }
+    }
+    material.dispose();
+  };
+
+  object.traverse((child) => {
+    if (child.geometry && !disposed.has(child.geometry)) {
+      disposed.add(child.geometry);
+      child.geometry.dispose();
+    }
+
+    if (child.material) {
+      if (Array.isArray(child.material)) {
+        child.material.forEach(disposeMaterial);
+      } else {
+        disposeMaterial(child.material);
+      }
+    }
+
+    // Lights with shadows own a render target
+    if (child.isLight && child.dispose) {
+      child.dispose();
+    }
+
+    // Instanced meshes own their per-instance attribute buffers
+    if (child.isInstancedMesh) {
+      child.dispose();
+    }
+  });
+}
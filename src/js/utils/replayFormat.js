@@ -0,0 +1,129 @@
+import { DIFFICULTIES } from "../data/difficulty.js";
+import { LAYOUT_STRATEGIES } from "../world/layoutStrategies.js";
+
+// Replays are versioned JSON, like saves. Bump REPLAY_VERSION whenever the
+// shape written by InputRecorder or the save it starts from changes, or
+// gameplay changes enough that old recordings would play out differently.
+export const REPLAY_VERSION = 2;
+
+const REPLAY_FORMAT = "dungeon-vibes-replay";
+
+// UI actions that change the run and so are recorded alongside the input.
+// Each is a GameEngine method taking a single index.
+export const REPLAY_COMMANDS = ["useItem", "dropItem", "chooseUpgrade"];
+
+// New flags go on the end, so older recordings read them as unset
+const FLAGS = ["attack", "jump", "sprint", "interact", "dash"];
+
+// Pack one tick of input state into [x, z, yaw, flags]
+function packFrame(state) {
+  let flags = 0;
+  FLAGS.forEach((flag, bit) => {
+    if (state[flag]) flags |= 1 << bit;
+  });
+  return [state.move.x, state.move.z, state.yaw, flags];
+}
+
+function unpackFrame([x, z, yaw, flags]) {
+  const state = { move: { x, z }, yaw };
+  FLAGS.forEach((flag, bit) => {
+    state[flag] = (flags & (1 << bit)) !== 0;
+  });
+  return state;
+}
+
+// Input is stored run-length encoded as [count, x, z, yaw, flags] rows.
+// It rarely changes from one tick to the next, so this stays small even
+// for long runs. Values are kept exact so playback matches the recording.
+export function appendFrame(rows, state) {
+  const frame = packFrame(state);
+  const last = rows[rows.length - 1];
+
+  if (last && frame.every((value, i) => value === last[i + 1])) {
+    last[0]++;
+  } else {
+    rows.push([1, ...frame]);
+  }
+}
+
+export function decodeFrames(rows) {
+  const states = [];
+  for (const [count, ...frame] of rows) {
+    const state = unpackFrame(frame);
+    for (let i = 0; i < count; i++) states.push(state);
+  }
+  return states;
+}
+
+export function createReplay(settings, frames, commands, checksum) {
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    ...settings,
+    ticks: frames.reduce((total, [count]) => total + count, 0),
+    frames,
+    commands,
+    checksum,
+  };
+}
+
+// Parse an exported replay file. Throws with a readable message if the
+// file isn't a replay this version can play.
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Not a replay file");
+  }
+
+  if (!replay || replay.format !== REPLAY_FORMAT) {
+    throw new Error("Not a replay file");
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version}`);
+  }
+  if (!Array.isArray(replay.frames) || !Array.isArray(replay.commands)) {
+    throw new Error("Replay is missing its input");
+  }
+  for (const [, name] of replay.commands) {
+    if (!REPLAY_COMMANDS.includes(name)) {
+      throw new Error(`Unknown replay command: ${name}`);
+    }
+  }
+  checkReplaySettings(replay);
+
+  return replay;
+}
+
+// Throw unless the settings a replay runs with are ones the game can use.
+// Checked before any of them touch the engine, so a bad file can't leave
+// the current run half torn down.
+export function checkReplaySettings(replay) {
+  if (!Object.hasOwn(LAYOUT_STRATEGIES, replay.layoutStrategy)) {
+    throw new Error(`Unknown layout strategy: ${replay.layoutStrategy}`);
+  }
+  if (!Object.hasOwn(DIFFICULTIES, replay.difficulty)) {
+    throw new Error(`Unknown difficulty: ${replay.difficulty}`);
+  }
+  for (const size of [replay.dungeonWidth, replay.dungeonHeight]) {
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new Error(`Invalid dungeon size: ${size}`);
+    }
+  }
+  if (!Number.isFinite(replay.fixedTimeStep) || replay.fixedTimeStep <= 0) {
+    throw new Error(`Invalid time step: ${replay.fixedTimeStep}`);
+  }
+}
+
+// Short fingerprint of some state (FNV-1a over its JSON), for checking a
+// replay ends where the recording did
+export function checksum(value) {
+  const text = JSON.stringify(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
@@ -0,0 +1,172 @@
+import { TILE } from "./Tiles.js";
+
+// Room-and-corridor layout strategy using binary space partitioning.
+// The map is split recursively into leaves, each leaf gets one room, and
+// sibling subtrees are joined by L-shaped corridors.
+export class BSPLayout {
+  constructor(options = {}) {
+    this.minLeafSize = options.minLeafSize ?? 8;
+    this.minRoomSize = options.minRoomSize ?? 3;
+    this.maxDepth = options.maxDepth ?? 5;
+  }
+
+  generate(width, height, random) {
+    const layout = [];
+    const roomMap = [];
+
+    // Start from solid rock
+    for (let y = 0; y < height; y++) {
+      layout.push(new Array(width).fill(TILE.WALL));
+      roomMap.push(new Array(width).fill(-1));
+    }
+
+    // Partition the interior, leaving the border as wall
+    const root = { x: 1, y: 1, width: width - 2, height: height - 2 };
+    this.split(root, random, 0);
+
+    const rooms = [];
+    this.createRooms(root, layout, roomMap, rooms, random);
+    this.connect(root, layout, random);
+
+    const spawnRoom = rooms[0];
+    return {
+      layout,
+      roomMap,
+      rooms,
+      spawn: { x: spawnRoom.centerX, y: spawnRoom.centerY },
+    };
+  }
+
+  split(node, random, depth) {
+    if (depth >= this.maxDepth) return;
+
+    // Prefer cutting across the longer side
+    let horizontal = random.chance(0.5);
+    if (node.height > node.width * 1.25) horizontal = true;
+    else if (node.width > node.height * 1.25) horizontal = false;
+
+    const size = horizontal ? node.height : node.width;
+    const max = size - this.minLeafSize;
+    if (max < this.minLeafSize) return; // Too small to split, stays a leaf
+
+    const splitAt = random.int(this.minLeafSize, max);
+
+    if (horizontal) {
+      node.left = { x: node.x, y: node.y, width: node.width, height: splitAt };
+      node.right = {
+        x: node.x,
+        y: node.y + splitAt,
+        width: node.width,
+        height: node.height - splitAt,
+      };
+    } else {
+      node.left = { x: node.x, y: node.y, width: splitAt, height: node.height };
+      node.right = {
+        x: node.x + splitAt,
+        y: node.y,
+        width: node.width - splitAt,
+        height: node.height,
+      };
+    }
+
+    this.split(node.left, random, depth + 1);
+    this.split(node.right, random, depth + 1);
+  }
+
+  createRooms(node, layout, roomMap, rooms, random) {
+    if (node.left || node.right) {
+      this.createRooms(node.left, layout, roomMap, rooms, random);
+      this.createRooms(node.right, layout, roomMap, rooms, random);
+      return;
+    }
+
+    // Leave a one-tile margin inside the leaf so neighbouring rooms never merge
+    const maxWidth = Math.max(1, node.width - 2);
+    const maxHeight = Math.max(1, node.height - 2);
+    const roomWidth = random.int(
+      Math.min(this.minRoomSize, maxWidth),
+      maxWidth
+    );
+    const roomHeight = random.int(
+      Math.min(this.minRoomSize, maxHeight),
+      maxHeight
+    );
+    const roomX = random.int(
+      node.x + 1,
+      Math.max(node.x + 1, node.x + node.width - 1 - roomWidth)
+    );
+    const roomY = random.int(
+      node.y + 1,
+      Math.max(node.y + 1, node.y + node.height - 1 - roomHeight)
+    );
+
+    const room = {
+      id: rooms.length,
+      x: roomX,
+      y: roomY,
+      width: roomWidth,
+      height: roomHeight,
+      centerX: roomX + Math.floor(roomWidth / 2),
+      centerY: roomY + Math.floor(roomHeight / 2),
+    };
+
+    for (let y = room.y; y < room.y + room.height; y++) {
+      for (let x = room.x; x < room.x + room.width; x++) {
+        layout[y][x] = TILE.FLOOR;
+        roomMap[y][x] = room.id;
+      }
+    }
+
+    node.room = room;
+    rooms.push(room);
+  }
+
+  connect(node, layout, random) {
+    if (!node.left || !node.right) return;
+
+    this.connect(node.left, layout, random);
+    this.connect(node.right, layout, random);
+
+    // Join one room from each half
+    const a = this.getRoom(node.left, random);
+    const b = this.getRoom(node.right, random);
+    this.carveCorridor(
+      layout,
+      a.centerX,
+      a.centerY,
+      b.centerX,
+      b.centerY,
+      random
+    );
+  }
+
+  getRoom(node, random) {
+    if (node.room) return node.room;
+    return this.getRoom(random.chance(0.5) ? node.left : node.right, random);
+  }
+
+  carveCorridor(layout, x1, y1, x2, y2, random) {
+    // L-shaped corridor, randomly bending horizontally or vertically first
+    const bendX = random.chance(0.5) ? x2 : x1;
+    const bendY = bendX === x2 ? y1 : y2;
+
+    this.carveLine(layout, x1, y1, bendX, bendY);
+    this.carveLine(layout, bendX, bendY, x2, y2);
+  }
+
+  carveLine(layout, x1, y1, x2, y2) {
+    const stepX = Math.sign(x2 - x1);
+    const stepY = Math.sign(y2 - y1);
+    let x = x1;
+    let y = y1;
+
+    while (true) {
+      if (layout[y][x] === TILE.WALL) {
+        layout[y][x] = TILE.FLOOR;
+      }
+      if (x === x2 && y === y2) break;
+      x += stepX;
+      y += stepY;
+    }
+  }
+}
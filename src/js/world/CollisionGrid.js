@@ -0,0 +1,174 @@
+import * as THREE from "three";
+import { TILE } from "./Tiles.js";
+
+// Wall collision queries backed by the dungeon's tile grid. Each query only
+// looks at the handful of tiles around it, so cost doesn't grow with map size.
+// Tile (x, y) covers world [x * tileSize +- tileSize / 2] on X and
+// [y * tileSize +- tileSize / 2] on Z.
+export class CollisionGrid {
+  constructor(layout, tileSize) {
+    this.layout = layout;
+    this.tileSize = tileSize;
+    this.height = layout.length;
+    this.width = this.height > 0 ? layout[0].length : 0;
+  }
+
+  // Walls block; so does anything outside the map
+  isSolid(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return true;
+    const tile = this.layout[y][x];
+    return tile === TILE.WALL || tile === TILE.EMPTY;
+  }
+
+  // World-space bounds of a tile
+  getTileBounds(x, y) {
+    const half = this.tileSize / 2;
+    return {
+      x,
+      y,
+      minX: x * this.tileSize - half,
+      maxX: x * this.tileSize + half,
+      minZ: y * this.tileSize - half,
+      maxZ: y * this.tileSize + half,
+    };
+  }
+
+  // Range of tiles a circle could touch
+  getTileRange(position, radius) {
+    const half = this.tileSize / 2;
+    return {
+      minX: Math.floor((position.x - radius + half) / this.tileSize),
+      maxX: Math.floor((position.x + radius + half) / this.tileSize),
+      minY: Math.floor((position.z - radius + half) / this.tileSize),
+      maxY: Math.floor((position.z + radius + half) / this.tileSize),
+    };
+  }
+
+  circleIntersectsTile(position, radius, x, y) {
+    const bounds = this.getTileBounds(x, y);
+
+    // Calculate the closest point on the tile to the position
+    const closestX = Math.max(bounds.minX, Math.min(position.x, bounds.maxX));
+    const closestZ = Math.max(bounds.minZ, Math.min(position.z, bounds.maxZ));
+
+    const dx = closestX - position.x;
+    const dz = closestZ - position.z;
+    return dx * dx + dz * dz < radius * radius;
+  }
+
+  // Whether a circle on the XZ plane touches any solid tile
+  intersectsCircle(position, radius) {
+    const range = this.getTileRange(position, radius);
+
+    for (let y = range.minY; y <= range.maxY; y++) {
+      for (let x = range.minX; x <= range.maxX; x++) {
+        if (
+          this.isSolid(x, y) &&
+          this.circleIntersectsTile(position, radius, x, y)
+        ) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  // Bounds of every solid tile a circle on the XZ plane touches
+  overlapCircle(position, radius) {
+    const range = this.getTileRange(position, radius);
+    const hits = [];
+
+    for (let y = range.minY; y <= range.maxY; y++) {
+      for (let x = range.minX; x <= range.maxX; x++) {
+        if (
+          this.isSolid(x, y) &&
+          this.circleIntersectsTile(position, radius, x, y)
+        ) {
+          hits.push(this.getTileBounds(x, y));
+        }
+      }
+    }
+
+    return hits;
+  }
+
+  // Cast a ray along the XZ plane, stepping tile by tile (Amanatides & Woo).
+  // Returns { distance, point, normal, tile } for the first solid tile hit
+  // within maxDistance, or null.
+  raycast(origin, direction, maxDistance = Infinity) {
+    const length = Math.hypot(direction.x, direction.z);
+    if (length === 0) return null;
+
+    const dirX = direction.x / length;
+    const dirZ = direction.z / length;
+
+    // Work in tile units, where tile (x, y) spans [x, x + 1)
+    const startX = origin.x / this.tileSize + 0.5;
+    const startZ = origin.z / this.tileSize + 0.5;
+    let tileX = Math.floor(startX);
+    let tileY = Math.floor(startZ);
+
+    const stepX = dirX > 0 ? 1 : -1;
+    const stepY = dirZ > 0 ? 1 : -1;
+
+    // World distance needed to cross one tile along each axis
+    const deltaX = dirX !== 0 ? Math.abs(this.tileSize / dirX) : Infinity;
+    const deltaZ = dirZ !== 0 ? Math.abs(this.tileSize / dirZ) : Infinity;
+
+    // World distance to the first tile boundary along each axis
+    let nextX =
+      dirX > 0
+        ? (tileX + 1 - startX) * deltaX
+        : dirX < 0
+        ? (startX - tileX) * deltaX
+        : Infinity;
+    let nextZ =
+      dirZ > 0
+        ? (tileY + 1 - startZ) * deltaZ
+        : dirZ < 0
+        ? (startZ - tileY) * deltaZ
+        : Infinity;
+
+    let distance = 0;
+    const normal = new THREE.Vector3();
+
+    while (distance <= maxDistance) {
+      if (this.isSolid(tileX, tileY)) {
+        return {
+          distance,
+          point: new THREE.Vector3(
+            origin.x + dirX * distance,
+            origin.y,
+            origin.z + dirZ * distance
+          ),
+          normal,
+          tile: { x: tileX, y: tileY },
+        };
+      }
+
+      if (nextX < nextZ) {
+        distance = nextX;
+        nextX += deltaX;
+        tileX += stepX;
+        normal.set(-stepX, 0, 0);
+      } else {
+        distance = nextZ;
+        nextZ += deltaZ;
+        tileY += stepY;
+        normal.set(0, 0, -stepY);
+      }
+    }
+
+    return null;
+  }
+
+  // Whether nothing solid lies on the straight line between two points
+  hasLineOfSight(from, to) {
+    const direction = new THREE.Vector3().subVectors(to, from);
+    direction.y = 0;
+    const distance = direction.length();
+    if (distance === 0) return true;
+    return this.raycast(from, direction, distance) === null;
+  }
+}
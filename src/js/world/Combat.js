@@ -0,0 +1,79 @@
+import * as THREE from "three";
+import { moveWithCollision } from "./Physics.js";
+
+// Shared damage model for anything with health: the player and enemies.
+// A damageable entity has health, isDead, takeDamage(amount), a knockback
+// vector, invulnerableTime and invulnerabilityDuration.
+
+// How quickly knockback velocity dies off (per second)
+const KNOCKBACK_DAMPING = 8;
+
+// How many times per second a recently hit entity blinks
+const FLASH_RATE = 15;
+
+// Deal damage from `source` to `target`. Dead and invulnerable targets are
+// skipped. On a hit the target becomes briefly invulnerable and is pushed
+// away from the source. Returns a damage event describing the hit, or null.
+//
+// options.knockback       push strength away from the source
+// options.ignoreInvulnerability  for damage over time (e.g. starvation),
+//                         which neither respects nor grants invulnerability
+export function applyDamage(target, amount, source, options = {}) {
+  const { knockback = 0, ignoreInvulnerability = false } = options;
+
+  if (target.isDead) return null;
+  if (!ignoreInvulnerability && target.invulnerableTime > 0) return null;
+
+  target.takeDamage(amount);
+  if (!ignoreInvulnerability) {
+    target.invulnerableTime = target.invulnerabilityDuration;
+  }
+
+  // Push the target away from whatever hit it
+  if (knockback > 0 && source && source.position) {
+    const away = new THREE.Vector3(
+      target.position.x - source.position.x,
+      0,
+      target.position.z - source.position.z
+    );
+    if (away.lengthSq() > 0) {
+      target.knockback.add(away.setLength(knockback));
+    }
+  }
+
+  return {
+    target,
+    source,
+    amount,
+    position: target.position.clone(),
+    health: target.health,
+    killed: target.isDead === true,
+  };
+}
+
+// Tick invulnerability, blink the mesh while it lasts, and slide the entity
+// along its knockback through the collision system
+export function updateDamageState(entity, deltaTime, dungeonGenerator) {
+  if (entity.invulnerableTime > 0) {
+    entity.invulnerableTime = Math.max(0, entity.invulnerableTime - deltaTime);
+  }
+
+  if (!entity.isDead) {
+    entity.mesh.visible =
+      entity.invulnerableTime === 0 ||
+      Math.floor(entity.invulnerableTime * FLASH_RATE) % 2 === 0;
+  }
+
+  if (entity.knockback.lengthSq() > 0.0001) {
+    moveWithCollision(
+      entity,
+      entity.knockback.clone().multiplyScalar(deltaTime),
+      dungeonGenerator
+    );
+    entity.knockback.multiplyScalar(
+      Math.max(0, 1 - KNOCKBACK_DAMPING * deltaTime)
+    );
+  } else {
+    entity.knockback.set(0, 0, 0);
+  }
+}
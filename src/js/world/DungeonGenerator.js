@@ -1,7 +1,12 @@
 import * as THREE from "three";
+import { Random } from "../utils/Random.js";
+import { disposeObject } from "../utils/disposeObject.js";
+import { TILE, isWalkableTile } from "./Tiles.js";
+import { LAYOUT_STRATEGIES } from "./layoutStrategies.js";
+import { CollisionGrid } from "./CollisionGrid.js";
 
 export class DungeonGenerator {
-  constructor() {
+  constructor(options = {}) {
     this.tileSize = 2;
     this.wallHeight = 3;
     this.materials = {
@@ -21,13 +26,56 @@ export class DungeonGenerator {
         roughness: 0.9,
         metalness: 0.0,
       }),
+      stairs: new THREE.MeshStandardMaterial({
+        color: 0x3355aa,
+        emissive: 0x112266,
+        emissiveIntensity: 0.6,
+        roughness: 0.7,
+        metalness: 0.1,
+      }),
     };
 
-    // Store wall positions for collision detection
-    this.walls = [];
+    // Tile-grid collision for the current floor
+    this.collisionGrid = null;
+
+    // Instanced wall and flame meshes for the current floor
+    this.wallMesh = null;
+    this.flames = null;
+
+    // Torch lights for the current floor
+    this.maxTorchLights = options.maxTorchLights ?? 8;
+    this.torchLights = [];
+    this.torchLightPositions = [];
+    this.torchLightTile = null;
+
+    // Seeded random source for every generation decision
+    this.seed = null;
+    this.random = null;
+
+    // Layout strategies, selected by name
+    this.layoutStrategies = Object.fromEntries(
+      Object.entries(LAYOUT_STRATEGIES).map(([name, Layout]) => [
+        name,
+        new Layout(),
+      ])
+    );
+    this.strategy = options.strategy ?? "scatter";
+
+    // Result of the last generated layout
+    this.layout = null;
+    this.roomMap = null; // roomMap[y][x] = room id, -1 outside rooms
+    this.rooms = [];
+    this.spawnTile = null;
+    this.stairsTile = null;
+    this.width = 0;
+    this.height = 0;
   }
 
-  generateDungeon(width, height) {
+  generateDungeon(width, height, seed = Random.randomSeed()) {
+    // Seed the generator so the same seed always builds the same dungeon
+    this.seed = Random.normalizeSeed(seed);
+    this.random = new Random(this.seed);
+
     // Create a group to hold all dungeon elements
     const dungeon = new THREE.Group();
 
@@ -40,78 +88,250 @@ export class DungeonGenerator {
     return dungeon;
   }
 
+  // Rebuild a dungeon from toJSON() output instead of generating one. The
+  // seed still drives decorations, so torches come back where they were.
+  restoreDungeon(state) {
+    this.seed = state.seed;
+    this.random = new Random(this.seed);
+    this.strategy = state.strategy;
+
+    this.layout = state.layout;
+    this.roomMap = state.roomMap;
+    this.rooms = state.rooms;
+    this.spawnTile = state.spawnTile;
+    this.stairsTile = state.stairsTile;
+    this.width = state.width;
+    this.height = state.height;
+
+    const dungeon = new THREE.Group();
+    this.createDungeonMesh(dungeon, this.layout, this.width, this.height);
+    return dungeon;
+  }
+
+  // Saved form of the current layout
+  toJSON() {
+    return {
+      seed: this.seed,
+      strategy: this.strategy,
+      width: this.width,
+      height: this.height,
+      layout: this.layout,
+      roomMap: this.roomMap,
+      rooms: this.rooms,
+      spawnTile: this.spawnTile,
+      stairsTile: this.stairsTile,
+    };
+  }
+
   generateLayout(width, height) {
-    // 0 = empty, 1 = wall, 2 = floor
-    const layout = [];
+    // The strategy name may come from the URL; don't match Object members
+    if (!Object.hasOwn(this.layoutStrategies, this.strategy)) {
+      throw new Error(`Unknown layout strategy: ${this.strategy}`);
+    }
 
-    // Initialize with walls
-    for (let y = 0; y < height; y++) {
-      const row = [];
-      for (let x = 0; x < width; x++) {
-        // Border walls
-        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
-          row.push(1); // Wall
-        } else {
-          row.push(2); // Floor
+    const strategy = this.layoutStrategies[this.strategy];
+    const { layout, roomMap, rooms, spawn } = strategy.generate(
+      width,
+      height,
+      this.random
+    );
+
+    // Make sure nothing generated is cut off from the spawn
+    this.ensureConnectivity(layout, spawn);
+
+    // Stairs down go on the floor tile furthest from the spawn
+    const stairs = this.placeStairs(layout, spawn);
+
+    // Keep the layout around so other systems can query it
+    this.layout = layout;
+    this.roomMap = roomMap;
+    this.rooms = rooms;
+    this.spawnTile = spawn;
+    this.stairsTile = stairs;
+    this.width = width;
+    this.height = height;
+
+    return layout;
+  }
+
+  // Flood fill from a tile, returning a grid of booleans for reachable tiles
+  floodFill(layout, start) {
+    const height = layout.length;
+    const width = layout[0].length;
+    const reachable = layout.map((row) => row.map(() => false));
+
+    if (!isWalkableTile(layout[start.y][start.x])) {
+      return reachable;
+    }
+
+    const stack = [start];
+    reachable[start.y][start.x] = true;
+
+    while (stack.length > 0) {
+      const { x, y } = stack.pop();
+      const neighbors = [
+        { x: x + 1, y },
+        { x: x - 1, y },
+        { x, y: y + 1 },
+        { x, y: y - 1 },
+      ];
+
+      for (const next of neighbors) {
+        if (
+          next.x >= 0 &&
+          next.y >= 0 &&
+          next.x < width &&
+          next.y < height &&
+          !reachable[next.y][next.x] &&
+          isWalkableTile(layout[next.y][next.x])
+        ) {
+          reachable[next.y][next.x] = true;
+          stack.push(next);
         }
       }
-      layout.push(row);
     }
 
-    // Add some random walls
-    const wallCount = Math.floor(width * height * 0.1);
-    for (let i = 0; i < wallCount; i++) {
-      const x = Math.floor(Math.random() * (width - 2)) + 1;
-      const y = Math.floor(Math.random() * (height - 2)) + 1;
-
-      // Don't place walls in the center area (3x3 grid)
-      const centerX = Math.floor(width / 2);
-      const centerY = Math.floor(height / 2);
-      const isCenterArea =
-        x >= centerX - 1 &&
-        x <= centerX + 1 &&
-        y >= centerY - 1 &&
-        y <= centerY + 1;
-
-      if (!isCenterArea) {
-        layout[y][x] = 1;
+    return reachable;
+  }
+
+  // Walking distance (in tiles) from a tile to every reachable tile
+  getDistanceMap(layout, start) {
+    const distances = layout.map((row) => row.map(() => Infinity));
+    distances[start.y][start.x] = 0;
+
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+      const { x, y } = queue[i];
+      const neighbors = [
+        { x: x + 1, y },
+        { x: x - 1, y },
+        { x, y: y + 1 },
+        { x, y: y - 1 },
+      ];
+
+      for (const next of neighbors) {
+        if (
+          layout[next.y] &&
+          isWalkableTile(layout[next.y][next.x]) &&
+          distances[next.y][next.x] === Infinity
+        ) {
+          distances[next.y][next.x] = distances[y][x] + 1;
+          queue.push(next);
+        }
       }
     }
 
-    // Ensure there's a path from the center to the edges
-    this.ensurePath(layout, width, height);
+    return distances;
+  }
 
-    return layout;
+  placeStairs(layout, spawn) {
+    const distances = this.getDistanceMap(layout, spawn);
+
+    let stairs = spawn;
+    let bestDistance = 0;
+    for (let y = 0; y < layout.length; y++) {
+      for (let x = 0; x < layout[y].length; x++) {
+        if (distances[y][x] !== Infinity && distances[y][x] > bestDistance) {
+          bestDistance = distances[y][x];
+          stairs = { x, y };
+        }
+      }
+    }
+
+    layout[stairs.y][stairs.x] = TILE.STAIRS;
+    return stairs;
   }
 
-  ensurePath(layout, width, height) {
-    // Simple implementation: just clear a cross in the middle
-    const centerX = Math.floor(width / 2);
-    const centerY = Math.floor(height / 2);
+  // Validate that every floor tile is reachable from the spawn, carving a
+  // corridor to the nearest reachable tile for any pocket that isn't
+  ensureConnectivity(layout, spawn) {
+    layout[spawn.y][spawn.x] = TILE.FLOOR;
+
+    while (true) {
+      const reachable = this.floodFill(layout, spawn);
+
+      let isolated = null;
+      for (let y = 0; y < layout.length && !isolated; y++) {
+        for (let x = 0; x < layout[y].length; x++) {
+          if (isWalkableTile(layout[y][x]) && !reachable[y][x]) {
+            isolated = { x, y };
+            break;
+          }
+        }
+      }
 
-    // Clear the center area (3x3 grid)
-    for (let y = centerY - 1; y <= centerY + 1; y++) {
-      for (let x = centerX - 1; x <= centerX + 1; x++) {
-        if (x > 0 && x < width - 1 && y > 0 && y < height - 1) {
-          layout[y][x] = 2; // Floor
+      if (!isolated) return;
+
+      // Find the closest reachable tile
+      let target = spawn;
+      let bestDistance = Infinity;
+      for (let y = 0; y < layout.length; y++) {
+        for (let x = 0; x < layout[y].length; x++) {
+          if (!reachable[y][x]) continue;
+          const distance = Math.abs(x - isolated.x) + Math.abs(y - isolated.y);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            target = { x, y };
+          }
         }
       }
+
+      // Carve an L-shaped corridor between them
+      const stepX = Math.sign(target.x - isolated.x);
+      const stepY = Math.sign(target.y - isolated.y);
+      for (let x = isolated.x; x !== target.x; x += stepX) {
+        layout[isolated.y][x] = TILE.FLOOR;
+      }
+      for (let y = isolated.y; y !== target.y; y += stepY) {
+        layout[y][target.x] = TILE.FLOOR;
+      }
     }
+  }
+
+  // Convert between layout tiles and world positions
+  tileToWorld(x, y, height = 1) {
+    return new THREE.Vector3(x * this.tileSize, height, y * this.tileSize);
+  }
+
+  worldToTile(position) {
+    return {
+      x: Math.round(position.x / this.tileSize),
+      y: Math.round(position.z / this.tileSize),
+    };
+  }
+
+  // World position of the spawn tile
+  getSpawnPosition(height = 1) {
+    return this.tileToWorld(this.spawnTile.x, this.spawnTile.y, height);
+  }
 
-    // Horizontal path
-    for (let x = 1; x < width - 1; x++) {
-      layout[centerY][x] = 2;
+  // Room id of the tile under a world position, or -1 for corridors and walls
+  getRoomAt(position) {
+    const { x, y } = this.worldToTile(position);
+    if (!this.roomMap || !this.roomMap[y] || this.roomMap[y][x] === undefined) {
+      return -1;
     }
+    return this.roomMap[y][x];
+  }
 
-    // Vertical path
-    for (let y = 1; y < height - 1; y++) {
-      layout[y][centerX] = 2;
+  // Pick a random walkable tile, optionally filtered (e.g. away from spawn)
+  getRandomFloorTile(random, filter = () => true) {
+    const candidates = [];
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (isWalkableTile(this.layout[y][x]) && filter(x, y)) {
+          candidates.push({ x, y });
+        }
+      }
     }
+    return candidates.length > 0 ? random.pick(candidates) : null;
   }
 
   createDungeonMesh(dungeon, layout, width, height) {
-    // Clear previous walls
-    this.walls = [];
+    // Collision is answered straight from the layout grid
+    this.collisionGrid = new CollisionGrid(layout, this.tileSize);
+    this.torchLights = [];
+    this.torchLightPositions = [];
 
     // Create floor
     const floorGeometry = new THREE.PlaneGeometry(
@@ -142,42 +362,108 @@ export class DungeonGenerator {
     );
     dungeon.add(ceiling);
 
-    // Create walls
+    // Create walls as a single instanced mesh: one draw call however
+    // large the map is. Collision and rendering are both built from the same
+    // layout grid, and wallTiles maps each instance back to its tile.
     const wallGeometry = new THREE.BoxGeometry(
       this.tileSize,
       this.wallHeight,
       this.tileSize
     );
 
+    const wallTiles = [];
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
-        if (layout[y][x] === 1) {
-          const wall = new THREE.Mesh(wallGeometry, this.materials.wall);
-          wall.position.set(
-            x * this.tileSize,
-            this.wallHeight / 2,
-            y * this.tileSize
-          );
-          wall.castShadow = true;
-          wall.receiveShadow = true;
-          dungeon.add(wall);
-
-          // Store wall position for collision detection
-          this.walls.push({
-            x: x * this.tileSize,
-            z: y * this.tileSize,
-            size: this.tileSize,
-          });
+        if (layout[y][x] === TILE.WALL) {
+          wallTiles.push({ x, y });
+        } else if (layout[y][x] === TILE.STAIRS) {
+          this.createStairs(dungeon, x, y);
         }
       }
     }
 
+    const walls = new THREE.InstancedMesh(
+      wallGeometry,
+      this.materials.wall,
+      wallTiles.length
+    );
+    const matrix = new THREE.Matrix4();
+    wallTiles.forEach(({ x, y }, index) => {
+      matrix.makeTranslation(
+        x * this.tileSize,
+        this.wallHeight / 2,
+        y * this.tileSize
+      );
+      walls.setMatrixAt(index, matrix);
+    });
+    walls.instanceMatrix.needsUpdate = true;
+    walls.computeBoundingSphere();
+    walls.castShadow = true;
+    walls.receiveShadow = true;
+    walls.userData.tiles = wallTiles;
+    dungeon.add(walls);
+    this.wallMesh = walls;
+
     // Add some decorations
     this.addDecorations(dungeon, layout, width, height);
 
     return dungeon;
   }
 
+  createStairs(dungeon, x, y) {
+    // A short flight of steps leading down, lit so it can be spotted
+    const stairs = new THREE.Group();
+    const stepCount = 4;
+    const stepDepth = this.tileSize / stepCount;
+
+    for (let i = 0; i < stepCount; i++) {
+      const stepGeometry = new THREE.BoxGeometry(
+        this.tileSize * 0.9,
+        0.05,
+        stepDepth * 0.9
+      );
+      const step = new THREE.Mesh(stepGeometry, this.materials.stairs);
+      step.position.set(
+        0,
+        0.02 - i * 0.01,
+        -this.tileSize / 2 + stepDepth * (i + 0.5)
+      );
+      step.receiveShadow = true;
+      stairs.add(step);
+    }
+
+    stairs.position.set(x * this.tileSize, 0, y * this.tileSize);
+    dungeon.add(stairs);
+
+    const stairsLight = new THREE.PointLight(0x4466ff, 1.5, 6);
+    stairsLight.position.set(x * this.tileSize, 1, y * this.tileSize);
+    dungeon.add(stairsLight);
+  }
+
+  // Whether a world position is standing on the stairs down
+  isOnStairs(position) {
+    if (!this.stairsTile) return false;
+    const { x, y } = this.worldToTile(position);
+    return x === this.stairsTile.x && y === this.stairsTile.y;
+  }
+
+  // Tear down a dungeon built by generateDungeon, freeing its GPU resources
+  disposeDungeon(dungeon) {
+    if (dungeon.parent) {
+      dungeon.parent.remove(dungeon);
+    }
+
+    // Shared materials are reused by the next floor
+    disposeObject(dungeon, Object.values(this.materials));
+
+    // Clear collision data for the old floor
+    this.collisionGrid = null;
+    this.wallMesh = null;
+    this.flames = null;
+    this.torchLights = [];
+    this.torchLightPositions = [];
+  }
+
   addDecorations(dungeon, layout, width, height) {
     // Add some torches
     const torchCount = Math.floor(width * height * 0.05);
@@ -188,89 +474,159 @@ export class DungeonGenerator {
       metalness: 0.1,
     });
 
+    // Decorations draw from their own stream so layout changes don't move them
+    const random = this.random.fork("decorations");
+
+    // Pick torch spots first, then build each kind of decoration as one
+    // instanced mesh
+    const torchTiles = [];
     for (let i = 0; i < torchCount; i++) {
-      const x = Math.floor(Math.random() * width);
-      const y = Math.floor(Math.random() * height);
-
-      // Only place torches on walls
-      if (layout[y][x] === 1) {
-        const torch = new THREE.Mesh(torchGeometry, torchMaterial);
-        torch.position.set(
-          x * this.tileSize,
-          this.wallHeight / 2,
-          y * this.tileSize
-        );
-
-        // Rotate torch to stick out from wall
-        torch.rotation.z = Math.PI / 2;
-        torch.position.x += 0.3; // Offset from wall
-
-        dungeon.add(torch);
-
-        // Add torch light
-        const torchLight = new THREE.PointLight(0xff6600, 1, 5);
-        torchLight.position.set(
-          x * this.tileSize + 0.5,
-          this.wallHeight / 2,
-          y * this.tileSize
-        );
-        dungeon.add(torchLight);
-
-        // Add flame effect (simple particle)
-        const flameGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-        const flameMaterial = new THREE.MeshBasicMaterial({
-          color: 0xff6600,
-          transparent: true,
-          opacity: 0.8,
-        });
-        const flame = new THREE.Mesh(flameGeometry, flameMaterial);
-        flame.position.set(
-          x * this.tileSize + 0.5,
-          this.wallHeight / 2 + 0.2,
-          y * this.tileSize
-        );
-
-        // Animate flame
-        const flameAnimation = () => {
-          flame.scale.x = 0.8 + Math.random() * 0.4;
-          flame.scale.y = 0.8 + Math.random() * 0.4;
-          flame.scale.z = 0.8 + Math.random() * 0.4;
-
-          requestAnimationFrame(flameAnimation);
-        };
-        flameAnimation();
-
-        dungeon.add(flame);
+      const x = random.int(0, width - 1);
+      const y = random.int(0, height - 1);
+      if (layout[y][x] !== TILE.WALL) continue;
+
+      // Only on walls that face open floor, pointing out into it
+      const faces = [
+        { dx: 1, dy: 0 },
+        { dx: -1, dy: 0 },
+        { dx: 0, dy: 1 },
+        { dx: 0, dy: -1 },
+      ].filter(({ dx, dy }) => isWalkableTile(layout[y + dy]?.[x + dx]));
+      if (faces.length > 0) {
+        torchTiles.push({ x, y, face: random.pick(faces) });
       }
     }
+
+    const torches = new THREE.InstancedMesh(
+      torchGeometry,
+      torchMaterial,
+      torchTiles.length
+    );
+
+    // Add flame effect (simple particle)
+    const flameGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+    const flameMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff6600,
+      transparent: true,
+      opacity: 0.8,
+    });
+    const flames = new THREE.InstancedMesh(
+      flameGeometry,
+      flameMaterial,
+      torchTiles.length
+    );
+
+    const dummy = new THREE.Object3D();
+    const up = new THREE.Vector3(0, 1, 0);
+    const outward = new THREE.Vector3();
+    const flamePositions = [];
+    torchTiles.forEach(({ x, y, face }, index) => {
+      // Mount the torch on the wall's face, sticking out towards the floor
+      outward.set(face.dx, 0, face.dy);
+      const mount = new THREE.Vector3(
+        x * this.tileSize,
+        this.wallHeight / 2,
+        y * this.tileSize
+      ).addScaledVector(outward, this.tileSize / 2);
+
+      dummy.position.copy(mount).addScaledVector(outward, 0.25);
+      dummy.quaternion.setFromUnitVectors(up, outward);
+      dummy.scale.set(1, 1, 1);
+      dummy.updateMatrix();
+      torches.setMatrixAt(index, dummy.matrix);
+
+      // Remember where the torch light goes, just off its tip
+      const tip = mount.clone().addScaledVector(outward, 0.5);
+      this.torchLightPositions.push(tip);
+      flamePositions.push(tip.clone().setY(tip.y + 0.1));
+    });
+    torches.instanceMatrix.needsUpdate = true;
+    torches.computeBoundingSphere();
+    dungeon.add(torches);
+    dungeon.add(flames);
+
+    // Add torch lights. Every point light costs shading time on every pixel,
+    // so a fixed pool is moved onto the torches nearest the player instead
+    // of lighting all of them (see updateTorchLights)
+    const lightCount = Math.min(this.maxTorchLights, torchTiles.length);
+    for (let i = 0; i < lightCount; i++) {
+      const torchLight = new THREE.PointLight(0xff6600, 1, 5);
+      torchLight.position.copy(this.torchLightPositions[i]);
+      dungeon.add(torchLight);
+      this.torchLights.push(torchLight);
+    }
+    this.torchLightTile = null;
+
+    this.flames = { mesh: flames, positions: flamePositions };
+    this.animateDecorations();
+    flames.computeBoundingSphere();
+  }
+
+  // Flicker the torch flames. Called once per rendered frame; purely
+  // cosmetic, so it doesn't use the seeded random.
+  animateDecorations() {
+    if (!this.flames) return;
+
+    const { mesh, positions } = this.flames;
+    const dummy = new THREE.Object3D();
+    positions.forEach((position, index) => {
+      dummy.position.copy(position);
+      dummy.scale.set(
+        0.8 + Math.random() * 0.4,
+        0.8 + Math.random() * 0.4,
+        0.8 + Math.random() * 0.4
+      );
+      dummy.updateMatrix();
+      mesh.setMatrixAt(index, dummy.matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  // Move the torch light pool onto the torches closest to a position
+  updateTorchLights(position) {
+    if (this.torchLights.length === 0) return;
+
+    // Only re-sort when the position moves to another tile
+    const tile = this.worldToTile(position);
+    if (
+      this.torchLightTile &&
+      this.torchLightTile.x === tile.x &&
+      this.torchLightTile.y === tile.y
+    ) {
+      return;
+    }
+    this.torchLightTile = tile;
+
+    const nearest = [...this.torchLightPositions].sort(
+      (a, b) => a.distanceToSquared(position) - b.distanceToSquared(position)
+    );
+    this.torchLights.forEach((light, index) => {
+      light.position.copy(nearest[index]);
+    });
   }
 
   // Check if a position collides with any wall
   checkWallCollision(position, radius) {
-    for (const wall of this.walls) {
-      // Calculate the closest point on the wall to the position
-      const closestX = Math.max(
-        wall.x - wall.size / 2,
-        Math.min(position.x, wall.x + wall.size / 2)
-      );
-      const closestZ = Math.max(
-        wall.z - wall.size / 2,
-        Math.min(position.z, wall.z + wall.size / 2)
-      );
+    if (!this.collisionGrid) return false;
+    return this.collisionGrid.intersectsCircle(position, radius);
+  }
 
-      // Calculate the distance between the closest point and the position
-      const distance = Math.sqrt(
-        (closestX - position.x) * (closestX - position.x) +
-          (closestZ - position.z) * (closestZ - position.z)
-      );
+  // Every wall tile a circle overlaps, as world-space bounds
+  overlapWalls(position, radius) {
+    if (!this.collisionGrid) return [];
+    return this.collisionGrid.overlapCircle(position, radius);
+  }
 
-      // If the distance is less than the radius, there is a collision
-      if (distance < radius) {
-        return true;
-      }
-    }
+  // First wall hit along a ray on the XZ plane, or null
+  raycast(origin, direction, maxDistance = Infinity) {
+    if (!this.collisionGrid) return null;
+    return this.collisionGrid.raycast(origin, direction, maxDistance);
+  }
 
-    return false;
+  // Whether no wall blocks the straight line between two points
+  hasLineOfSight(from, to) {
+    if (!this.collisionGrid) return true;
+    return this.collisionGrid.hasLineOfSight(from, to);
   }
 
   // Get a safe position away from walls
@@ -292,13 +648,11 @@ export class DungeonGenerator {
       new THREE.Vector3(-1, 0, -1).normalize(),
     ];
 
-    // Try center of the dungeon first
-    const centerX = 5 * this.tileSize;
-    const centerZ = 5 * this.tileSize;
-    const centerPosition = new THREE.Vector3(centerX, position.y, centerZ);
+    // Try the spawn point first
+    const spawnPosition = this.getSpawnPosition(position.y);
 
-    if (!this.checkWallCollision(centerPosition, radius)) {
-      return centerPosition;
+    if (!this.checkWallCollision(spawnPosition, radius)) {
+      return spawnPosition;
     }
 
     // Try other directions
@@ -314,7 +668,7 @@ export class DungeonGenerator {
     }
 
     // If no safe position is found, return the center position anyway
-    console.warn("Could not find valid position, returning center position");
-    return centerPosition;
+    console.warn("Could not find valid position, returning spawn position");
+    return spawnPosition;
   }
 }
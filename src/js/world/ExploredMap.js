@@ -0,0 +1,99 @@
+import * as THREE from "three";
+
+// Fog of war for one floor: which tiles the player has seen so far, and
+// which are in view right now. Tiles are revealed by casting rays out from
+// the player against the dungeon's walls.
+export class ExploredMap {
+  constructor(width, height, options = {}) {
+    this.width = width;
+    this.height = height;
+    this.explored = new Uint8Array(width * height);
+    this.visible = new Uint8Array(width * height);
+    this.rayCount = options.rayCount ?? 96;
+
+    // Bumped whenever what's explored or in view changes, so renderers can
+    // cache their drawing
+    this.version = 0;
+    this.lastOrigin = null;
+  }
+
+  inBounds(x, y) {
+    return x >= 0 && y >= 0 && x < this.width && y < this.height;
+  }
+
+  isExplored(x, y) {
+    return this.inBounds(x, y) && this.explored[y * this.width + x] === 1;
+  }
+
+  isVisible(x, y) {
+    return this.inBounds(x, y) && this.visible[y * this.width + x] === 1;
+  }
+
+  markSeen(x, y) {
+    if (!this.inBounds(x, y)) return;
+
+    const index = y * this.width + x;
+    this.visible[index] = 1;
+    this.explored[index] = 1;
+  }
+
+  // Reveal everything in sight within `radius` of a world position. Only
+  // recomputed when the position moves to another tile.
+  reveal(dungeonGenerator, position, radius) {
+    const origin = dungeonGenerator.worldToTile(position);
+    if (
+      this.lastOrigin &&
+      this.lastOrigin.x === origin.x &&
+      this.lastOrigin.y === origin.y
+    ) {
+      return;
+    }
+    this.lastOrigin = origin;
+
+    this.visible.fill(0);
+    this.markSeen(origin.x, origin.y);
+
+    const step = dungeonGenerator.tileSize / 4;
+    const direction = new THREE.Vector3();
+    const point = new THREE.Vector3();
+
+    for (let i = 0; i < this.rayCount; i++) {
+      const angle = (i / this.rayCount) * Math.PI * 2;
+      direction.set(Math.cos(angle), 0, Math.sin(angle));
+
+      // Everything up to the first wall is seen, and so is that wall
+      const hit = dungeonGenerator.raycast(position, direction, radius);
+      const reach = hit ? hit.distance : radius;
+      for (let distance = step; distance < reach; distance += step) {
+        point.copy(position).addScaledVector(direction, distance);
+        const tile = dungeonGenerator.worldToTile(point);
+        this.markSeen(tile.x, tile.y);
+      }
+      if (hit) {
+        this.markSeen(hit.tile.x, hit.tile.y);
+      }
+    }
+
+    this.version++;
+  }
+
+  // Saved form: one string of 0s and 1s per row
+  toJSON() {
+    const rows = [];
+    for (let y = 0; y < this.height; y++) {
+      const start = y * this.width;
+      rows.push(this.explored.subarray(start, start + this.width).join(""));
+    }
+    return rows;
+  }
+
+  load(rows) {
+    rows.forEach((row, y) => {
+      for (let x = 0; x < row.length && x < this.width; x++) {
+        if (row[x] === "1") this.explored[y * this.width + x] = 1;
+      }
+    });
+    this.lastOrigin = null;
+    this.version++;
+  }
+}
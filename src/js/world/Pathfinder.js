@@ -0,0 +1,279 @@
+import * as THREE from "three";
+import { isWalkableTile } from "./Tiles.js";
+
+// Neighbour offsets for 8-way movement, with their step costs
+const NEIGHBORS = [
+  { x: 1, y: 0, cost: 1 },
+  { x: -1, y: 0, cost: 1 },
+  { x: 0, y: 1, cost: 1 },
+  { x: 0, y: -1, cost: 1 },
+  { x: 1, y: 1, cost: Math.SQRT2 },
+  { x: 1, y: -1, cost: Math.SQRT2 },
+  { x: -1, y: 1, cost: Math.SQRT2 },
+  { x: -1, y: -1, cost: Math.SQRT2 },
+];
+
+// A* pathfinding over the DungeonGenerator layout grid, shared by every
+// entity. Paths are cached by start/goal tile, each agent only repaths every
+// `repathInterval` seconds, and at most `maxSearchesPerFrame` searches run
+// per frame so a crowd of chasers can't spike the frame time.
+export class Pathfinder {
+  constructor(dungeonGenerator, options = {}) {
+    this.dungeonGenerator = dungeonGenerator;
+    this.repathInterval = options.repathInterval ?? 0.5;
+    this.maxSearchesPerFrame = options.maxSearchesPerFrame ?? 4;
+    this.maxCacheSize = options.maxCacheSize ?? 256;
+    this.waypointReach = options.waypointReach ?? 0.4;
+
+    this.layout = null;
+    this.cache = new Map();
+    this.agents = new WeakMap();
+    this.time = 0;
+    this.searchesThisFrame = 0;
+  }
+
+  // Advance the repath clock and reset the per-frame search budget
+  update(deltaTime) {
+    this.time += deltaTime;
+    this.searchesThisFrame = 0;
+  }
+
+  // Drop cached paths when the dungeon has been regenerated
+  syncLayout() {
+    if (this.layout !== this.dungeonGenerator.layout) {
+      this.layout = this.dungeonGenerator.layout;
+      this.cache.clear();
+      this.agents = new WeakMap();
+      this.time = 0;
+    }
+  }
+
+  // Find a path between two world positions. Returns an array of world
+  // waypoints (tile centers, excluding the start tile), or null if the
+  // goal can't be reached.
+  findPath(from, to) {
+    this.syncLayout();
+    if (!this.layout) return null;
+
+    const start = this.dungeonGenerator.worldToTile(from);
+    const goal = this.dungeonGenerator.worldToTile(to);
+    const tiles = this.findTilePath(start, goal);
+    if (!tiles) return null;
+
+    return tiles
+      .slice(1)
+      .map(({ x, y }) => this.dungeonGenerator.tileToWorld(x, y, from.y));
+  }
+
+  // A* over tiles, returning the list of tiles from start to goal or null
+  findTilePath(start, goal) {
+    if (
+      !this.isWalkable(start.x, start.y) ||
+      !this.isWalkable(goal.x, goal.y)
+    ) {
+      return null;
+    }
+
+    const key = `${start.x},${start.y}:${goal.x},${goal.y}`;
+    if (this.cache.has(key)) {
+      // Refresh the entry so the cache evicts least recently used paths
+      const cached = this.cache.get(key);
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached;
+    }
+
+    const width = this.layout[0].length;
+    const index = (x, y) => y * width + x;
+
+    const gScore = new Map();
+    const cameFrom = new Map();
+    const closed = new Set();
+    const open = new BinaryHeap();
+
+    const startIndex = index(start.x, start.y);
+    gScore.set(startIndex, 0);
+    open.push({ x: start.x, y: start.y, f: this.heuristic(start, goal) });
+
+    let path = null;
+    while (open.size() > 0) {
+      const current = open.pop();
+      const currentIndex = index(current.x, current.y);
+      if (closed.has(currentIndex)) continue;
+      closed.add(currentIndex);
+
+      if (current.x === goal.x && current.y === goal.y) {
+        path = this.reconstructPath(cameFrom, currentIndex, width);
+        break;
+      }
+
+      for (const offset of NEIGHBORS) {
+        const x = current.x + offset.x;
+        const y = current.y + offset.y;
+        if (!this.isWalkable(x, y)) continue;
+
+        // Don't cut corners past walls on diagonal steps
+        if (
+          offset.x !== 0 &&
+          offset.y !== 0 &&
+          (!this.isWalkable(current.x + offset.x, current.y) ||
+            !this.isWalkable(current.x, current.y + offset.y))
+        ) {
+          continue;
+        }
+
+        const nextIndex = index(x, y);
+        if (closed.has(nextIndex)) continue;
+
+        const g = gScore.get(currentIndex) + offset.cost;
+        if (g < (gScore.get(nextIndex) ?? Infinity)) {
+          gScore.set(nextIndex, g);
+          cameFrom.set(nextIndex, currentIndex);
+          open.push({ x, y, f: g + this.heuristic({ x, y }, goal) });
+        }
+      }
+    }
+
+    this.cache.set(key, path);
+    if (this.cache.size > this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return path;
+  }
+
+  reconstructPath(cameFrom, goalIndex, width) {
+    const path = [];
+    let current = goalIndex;
+    while (current !== undefined) {
+      path.push({ x: current % width, y: Math.floor(current / width) });
+      current = cameFrom.get(current);
+    }
+    return path.reverse();
+  }
+
+  // Octile distance, admissible for 8-way movement
+  heuristic(a, b) {
+    const dx = Math.abs(a.x - b.x);
+    const dy = Math.abs(a.y - b.y);
+    return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+  }
+
+  isWalkable(x, y) {
+    return (
+      y >= 0 &&
+      y < this.layout.length &&
+      x >= 0 &&
+      x < this.layout[y].length &&
+      isWalkableTile(this.layout[y][x])
+    );
+  }
+
+  // Where an agent should steer next to reach `target`. Keeps a path per
+  // agent and only repaths when it's due (and the frame budget allows).
+  // Returns a world position, or null if there is no way there.
+  getNextWaypoint(agent, target) {
+    this.syncLayout();
+    if (!this.layout) return null;
+
+    const goal = this.dungeonGenerator.worldToTile(target);
+    let state = this.agents.get(agent);
+
+    const isStale =
+      !state ||
+      ((state.goal.x !== goal.x || state.goal.y !== goal.y) &&
+        this.time - state.time >= this.repathInterval);
+
+    if (isStale && this.searchesThisFrame < this.maxSearchesPerFrame) {
+      this.searchesThisFrame++;
+      state = {
+        path: this.findPath(agent.position, target),
+        index: 0,
+        goal,
+        time: this.time,
+      };
+      this.agents.set(agent, state);
+    }
+
+    if (!state || !state.path) return null;
+
+    // Skip waypoints the agent has already reached
+    const reach = this.waypointReach * this.waypointReach;
+    while (
+      state.index < state.path.length &&
+      horizontalDistanceSquared(agent.position, state.path[state.index]) <=
+        reach
+    ) {
+      state.index++;
+    }
+
+    // Past the end of the path the agent is on the goal tile: head straight in
+    if (state.index >= state.path.length) {
+      return new THREE.Vector3(target.x, agent.position.y, target.z);
+    }
+
+    return state.path[state.index];
+  }
+
+  // Forget an agent's path (e.g. when it dies or gives up the chase)
+  clearAgent(agent) {
+    this.agents.delete(agent);
+  }
+}
+
+function horizontalDistanceSquared(a, b) {
+  const dx = a.x - b.x;
+  const dz = a.z - b.z;
+  return dx * dx + dz * dz;
+}
+
+// Minimal binary min-heap keyed on `f`, used as the A* open set
+class BinaryHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].f <= items[i].f) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].f < items[smallest].f) {
+          smallest = left;
+        }
+        if (right < items.length && items[right].f < items[smallest].f) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
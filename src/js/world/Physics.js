@@ -0,0 +1,99 @@
+import * as THREE from "three";
+
+// Height the entities' centers rest at when standing on the floor
+export const GROUND_HEIGHT = 1;
+
+// Shared movement routines for anything with a position, velocity and a
+// sphere collider (the player and enemies alike).
+
+// Apply gravity and keep the entity on the floor. Returns whether the
+// entity is standing on the ground.
+export function applyGravity(entity, gravity, deltaTime) {
+  entity.velocity.y -= gravity * deltaTime;
+  entity.position.y += entity.velocity.y * deltaTime;
+
+  if (entity.position.y <= GROUND_HEIGHT) {
+    entity.position.y = GROUND_HEIGHT;
+    entity.velocity.y = 0;
+    return true;
+  }
+
+  return false;
+}
+
+// Move an entity horizontally, sliding along walls instead of stopping
+// dead. Returns the movement that was actually applied.
+export function moveWithCollision(entity, movement, dungeonGenerator) {
+  const oldPosition = entity.position.clone();
+  const radius = entity.collider.radius;
+
+  const blocked = () =>
+    dungeonGenerator &&
+    dungeonGenerator.checkWallCollision(entity.position, radius);
+
+  // Apply movement to position
+  entity.position.x += movement.x;
+  entity.position.z += movement.z;
+
+  if (blocked()) {
+    // If there's a collision, revert to the old position
+    entity.position.copy(oldPosition);
+
+    // Try moving only in X direction
+    entity.position.x += movement.x;
+    if (blocked()) {
+      entity.position.copy(oldPosition);
+
+      // Try moving only in Z direction
+      entity.position.z += movement.z;
+      if (blocked()) {
+        entity.position.copy(oldPosition);
+      }
+    }
+  }
+
+  return new THREE.Vector3(
+    entity.position.x - oldPosition.x,
+    0,
+    entity.position.z - oldPosition.z
+  );
+}
+
+// Push overlapping entities apart so they don't stack on top of each other.
+// Each pair splits the overlap evenly, and pushes still respect walls.
+export function separateEntities(entities, dungeonGenerator) {
+  const push = new THREE.Vector3();
+
+  for (let i = 0; i < entities.length; i++) {
+    const a = entities[i];
+    if (a.isDead || !a.collider) continue;
+
+    for (let j = i + 1; j < entities.length; j++) {
+      const b = entities[j];
+      if (b.isDead || !b.collider) continue;
+
+      const dx = b.position.x - a.position.x;
+      const dz = b.position.z - a.position.z;
+      const minDistance = a.collider.radius + b.collider.radius;
+      const distanceSquared = dx * dx + dz * dz;
+      if (distanceSquared >= minDistance * minDistance) continue;
+
+      // Entities exactly on top of each other get pushed along X
+      const distance = Math.sqrt(distanceSquared);
+      const overlap = (minDistance - distance) / 2;
+      if (distance > 0) {
+        push.set((dx / distance) * overlap, 0, (dz / distance) * overlap);
+      } else {
+        push.set(overlap, 0, 0);
+      }
+
+      moveWithCollision(b, push, dungeonGenerator);
+      moveWithCollision(a, push.negate(), dungeonGenerator);
+    }
+  }
+
+  // Keep meshes in step with the corrected positions
+  for (const entity of entities) {
+    if (entity.mesh) entity.mesh.position.copy(entity.position);
+  }
+}
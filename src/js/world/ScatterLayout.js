@@ -0,0 +1,101 @@
+import { TILE } from "./Tiles.js";
+
+// Original layout strategy: a bordered rectangle with walls scattered at
+// random and a cross cleared through the center.
+export class ScatterLayout {
+  constructor(options = {}) {
+    this.wallDensity = options.wallDensity ?? 0.1;
+  }
+
+  generate(width, height, random) {
+    const layout = [];
+    const roomMap = [];
+
+    // Initialize with walls
+    for (let y = 0; y < height; y++) {
+      const row = [];
+      const roomRow = [];
+      for (let x = 0; x < width; x++) {
+        // Border walls
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+          row.push(TILE.WALL);
+          roomRow.push(-1);
+        } else {
+          row.push(TILE.FLOOR);
+          roomRow.push(0); // The whole interior is a single room
+        }
+      }
+      layout.push(row);
+      roomMap.push(roomRow);
+    }
+
+    const centerX = Math.floor(width / 2);
+    const centerY = Math.floor(height / 2);
+
+    // Add some random walls
+    const wallCount = Math.floor(width * height * this.wallDensity);
+    for (let i = 0; i < wallCount; i++) {
+      const x = random.int(1, width - 2);
+      const y = random.int(1, height - 2);
+
+      // Don't place walls in the center area (3x3 grid)
+      const isCenterArea =
+        x >= centerX - 1 &&
+        x <= centerX + 1 &&
+        y >= centerY - 1 &&
+        y <= centerY + 1;
+
+      if (!isCenterArea) {
+        layout[y][x] = TILE.WALL;
+        roomMap[y][x] = -1;
+      }
+    }
+
+    // Ensure there's a path from the center to the edges
+    this.ensurePath(layout, roomMap, width, height);
+
+    const rooms = [
+      {
+        id: 0,
+        x: 1,
+        y: 1,
+        width: width - 2,
+        height: height - 2,
+        centerX,
+        centerY,
+      },
+    ];
+
+    return { layout, roomMap, rooms, spawn: { x: centerX, y: centerY } };
+  }
+
+  ensurePath(layout, roomMap, width, height) {
+    // Simple implementation: just clear a cross in the middle
+    const centerX = Math.floor(width / 2);
+    const centerY = Math.floor(height / 2);
+
+    const clear = (x, y) => {
+      layout[y][x] = TILE.FLOOR;
+      roomMap[y][x] = 0;
+    };
+
+    // Clear the center area (3x3 grid)
+    for (let y = centerY - 1; y <= centerY + 1; y++) {
+      for (let x = centerX - 1; x <= centerX + 1; x++) {
+        if (x > 0 && x < width - 1 && y > 0 && y < height - 1) {
+          clear(x, y);
+        }
+      }
+    }
+
+    // Horizontal path
+    for (let x = 1; x < width - 1; x++) {
+      clear(x, centerY);
+    }
+
+    // Vertical path
+    for (let y = 1; y < height - 1; y++) {
+      clear(centerX, y);
+    }
+  }
+}
@@ -0,0 +1,12 @@
+// Tile values used in dungeon layout grids (layout[y][x])
+export const TILE = {
+  EMPTY: 0,
+  WALL: 1,
+  FLOOR: 2,
+  STAIRS: 3,
+};
+
+// Tiles that entities can stand on
+export function isWalkableTile(tile) {
+  return tile === TILE.FLOOR || tile === TILE.STAIRS;
+}
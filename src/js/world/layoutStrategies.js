@@ -0,0 +1,9 @@
+import { ScatterLayout } from "./ScatterLayout.js";
+import { BSPLayout } from "./BSPLayout.js";
+
+// Dungeon layout strategies, selected by name. Names can come from the URL,
+// saves and replays.
+export const LAYOUT_STRATEGIES = {
+  scatter: ScatterLayout,
+  bsp: BSPLayout,
+};
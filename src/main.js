@@ -10,19 +10,28 @@ window.addEventListener("error", function (event) {
 // Initialize the game when the DOM is loaded
 document.addEventListener("DOMContentLoaded", () => {
   try {
+    // Allow a run to be reproduced with ?seed=<value> (and
+    // ?layout=bsp|scatter), and pick survival tuning with
+    // ?difficulty=easy|normal|hard
+    const params = new URLSearchParams(window.location.search);
+    const seed = params.get("seed") ?? undefined;
+    const layoutStrategy = params.get("layout") ?? undefined;
+    const difficulty = params.get("difficulty") ?? undefined;
+
     // Create and start the game
     console.log("Creating game instance");
-    const game = new GameEngine();
+    const game = new GameEngine({ seed, layoutStrategy, difficulty });
     console.log("Initializing game");
     game.init();
+
+    // Render behind the menus; the simulation waits for a run to start
     console.log("Starting game");
     game.start();
 
     // Update loading screen
-    const loadingScreen = document.getElementById("loading-screen");
     const loadingFill = document.getElementById("loading-fill");
 
-    // Simulate loading progress
+    // Simulate loading progress, then go to the title screen
     let progress = 0;
     const loadingInterval = setInterval(() => {
       progress += 5;
@@ -30,9 +39,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
       if (progress >= 100) {
         clearInterval(loadingInterval);
-        setTimeout(() => {
-          loadingScreen.style.display = "none";
-        }, 500);
+        setTimeout(() => game.setState("title"), 500);
       }
     }, 100);
   } catch (error) {